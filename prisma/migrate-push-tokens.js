@@ -0,0 +1,94 @@
+// Moves the device push tokens stored on users from before tokens were kept per session
+// onto each user's most recently used active session, so existing devices keep getting
+// push notifications without registering again.
+//
+//   node prisma/migrate-push-tokens.js [--dry-run]
+//
+// Users without an active session keep their old token until they sign in again, so
+// the script can be re-run later to pick them up.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+async function main() {
+  const { dryRun } = parseArgs(process.argv.slice(2));
+
+  const users = await prisma.user.findMany({
+    where: { legacyPushToken: { not: null } },
+    select: { id: true, email: true, legacyPushToken: true }
+  });
+
+  if (users.length === 0) {
+    console.info('✅ No push tokens left to migrate');
+    return;
+  }
+
+  let moved = 0;
+  let waiting = 0;
+
+  for (const user of users) {
+    const session = await prisma.session.findFirst({
+      where: {
+        userId: user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastSeenAt: 'desc' }
+    });
+
+    if (!session) {
+      waiting++;
+      console.info(`   ${user.email}: no active session yet, token kept`);
+      continue;
+    }
+
+    // A device that already registered again through its session needs nothing copied
+    if (!dryRun) {
+      await prisma.$transaction([
+        ...(session.pushToken ? [] : [
+          prisma.session.updateMany({
+            where: { pushToken: user.legacyPushToken },
+            data: { pushToken: null }
+          }),
+          prisma.session.update({
+            where: { id: session.id },
+            data: { pushToken: user.legacyPushToken }
+          })
+        ]),
+        prisma.user.update({
+          where: { id: user.id },
+          data: { legacyPushToken: null }
+        })
+      ]);
+    }
+
+    moved++;
+    console.info(`   ${user.email}: ${session.pushToken ? 'already registered' : 'token moved'} to session ${session.id}`);
+  }
+
+  console.info(`${dryRun ? '🔎 Dry run, nothing was changed. Would migrate' : '🎉 Migrated'} ${moved} token(s); ${waiting} user(s) without an active session`);
+}
+
+main()
+  .then(async () => {
+    await prisma.$disconnect();
+  })
+  .catch(async (error) => {
+    console.error('❌ Migrating push tokens failed:', error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,208 @@
+// Turns the free-text department strings from before departments were a table into
+// Department rows, and links users, courses, role assignments and invitations to them.
+//
+//   node prisma/normalize-departments.js [--dry-run] [--aliases aliases.json]
+//
+// Spellings are grouped by a normalized name that ignores case, punctuation, "&",
+// "Department of" and common abbreviations, so "Comp Sci", "computer science" and
+// "Dept. of Computer Science" all become one department. Spellings that cannot be
+// matched automatically can be mapped in an aliases file, e.g. {"CS": "Computer Science"}.
+// Rows that already have a department are left alone, so the script can be re-run.
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ABBREVIATIONS = {
+  admin: 'administration',
+  bio: 'biology',
+  bus: 'business',
+  chem: 'chemistry',
+  comp: 'computer',
+  econ: 'economics',
+  elec: 'electrical',
+  eng: 'engineering',
+  engg: 'engineering',
+  math: 'mathematics',
+  maths: 'mathematics',
+  mech: 'mechanical',
+  phys: 'physics',
+  psych: 'psychology',
+  sci: 'science',
+  stats: 'statistics'
+};
+const IGNORED_WORDS = new Set(['department', 'dept', 'of', 'the', 'and']);
+
+// Models with a legacy department column
+const MODELS = ['user', 'course', 'roleAssignment', 'invitation'];
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, aliases: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--aliases') {
+      options.aliases = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+};
+
+const words = (name) => {
+  return name.toLowerCase().replace(/&/g, ' and ').split(/[^a-z0-9]+/).filter(Boolean);
+};
+
+const normalizeKey = (name) => {
+  return words(name)
+    .map((word) => ABBREVIATIONS[word] || word)
+    .filter((word) => !IGNORED_WORDS.has(word))
+    .join(' ');
+};
+
+const isSpelledOut = (name) => {
+  return !words(name).some((word) => ABBREVIATIONS[word]);
+};
+
+// "computer science" -> "CS", single words use their first four letters
+const generateCode = (key, usedCodes) => {
+  const keyWords = key.split(' ');
+  const base = (keyWords.length > 1
+    ? keyWords.map((word) => word[0]).join('')
+    : keyWords[0].slice(0, 4)).toUpperCase();
+
+  let code = base;
+  for (let suffix = 2; usedCodes.has(code); suffix++) {
+    code = `${base}${suffix}`;
+  }
+
+  usedCodes.add(code);
+  return code;
+};
+
+// Count rows per legacy spelling that still need a department
+const countSpellings = async () => {
+  const counts = new Map();
+
+  for (const model of MODELS) {
+    const groups = await prisma[model].groupBy({
+      by: ['legacyDepartment'],
+      where: { departmentId: null, legacyDepartment: { not: null } },
+      _count: { _all: true }
+    });
+
+    for (const group of groups) {
+      const spelling = group.legacyDepartment.trim();
+      if (!spelling) continue;
+
+      const count = counts.get(group.legacyDepartment) || { spelling, total: 0 };
+      count.total += group._count._all;
+      counts.set(group.legacyDepartment, count);
+    }
+  }
+
+  return counts;
+};
+
+// Role assignments are unique per department, so two spellings of the same department
+// can collide. The duplicate grant is dropped.
+const linkRoleAssignments = async (legacyDepartment, departmentId) => {
+  const assignments = await prisma.roleAssignment.findMany({
+    where: { legacyDepartment, departmentId: null }
+  });
+
+  for (const assignment of assignments) {
+    try {
+      await prisma.roleAssignment.update({
+        where: { id: assignment.id },
+        data: { departmentId }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      await prisma.roleAssignment.delete({ where: { id: assignment.id } });
+    }
+  }
+};
+
+async function main() {
+  const { dryRun, aliases } = parseArgs(process.argv.slice(2));
+
+  const existingDepartments = await prisma.department.findMany();
+  const usedCodes = new Set(existingDepartments.map((department) => department.code));
+  const departmentsByKey = new Map();
+
+  existingDepartments.forEach((department) => {
+    departmentsByKey.set(normalizeKey(department.name), department);
+    departmentsByKey.set(department.code.toLowerCase(), department);
+  });
+
+  // Group spellings by normalized name
+  const groups = new Map();
+  for (const [legacyDepartment, { spelling, total }] of await countSpellings()) {
+    const alias = aliases[spelling];
+    const key = normalizeKey(alias || spelling);
+    if (!key) continue;
+
+    const group = groups.get(key) || { key, alias: null, spellings: [] };
+    if (alias) group.alias = alias;
+    group.spellings.push({ legacyDepartment, spelling, total });
+    groups.set(key, group);
+  }
+
+  if (groups.size === 0) {
+    console.info('✅ No department strings left to normalize');
+    return;
+  }
+
+  for (const group of groups.values()) {
+    let department = departmentsByKey.get(group.key);
+
+    if (!department) {
+      // Prefer an alias, then spelled-out names, then the most common spelling
+      const [preferred] = [...group.spellings].sort((a, b) =>
+        Number(isSpelledOut(b.spelling)) - Number(isSpelledOut(a.spelling)) ||
+        b.total - a.total ||
+        b.spelling.length - a.spelling.length
+      );
+
+      const data = {
+        code: generateCode(group.key, usedCodes),
+        name: group.alias || preferred.spelling
+      };
+
+      department = dryRun ? data : await prisma.department.create({ data });
+      console.info(`➕ ${dryRun ? 'Would create' : 'Created'} department ${data.code} "${data.name}"`);
+    }
+
+    for (const { legacyDepartment, spelling, total } of group.spellings) {
+      if (!dryRun) {
+        const where = { legacyDepartment, departmentId: null };
+        const data = { departmentId: department.id };
+
+        await Promise.all([
+          prisma.user.updateMany({ where, data }),
+          prisma.course.updateMany({ where, data }),
+          prisma.invitation.updateMany({ where, data }),
+          linkRoleAssignments(legacyDepartment, department.id)
+        ]);
+      }
+
+      console.info(`   "${spelling}" -> ${department.code} (${total} rows)`);
+    }
+  }
+
+  console.info(dryRun ? '🔎 Dry run, nothing was changed' : '🎉 Departments normalized');
+}
+
+main()
+  .then(async () => {
+    await prisma.$disconnect();
+  })
+  .catch(async (error) => {
+    console.error('❌ Normalizing departments failed:', error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
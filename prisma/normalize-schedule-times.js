@@ -0,0 +1,67 @@
+// Pads schedule times stored as H:MM (e.g. "9:00") to HH:MM. Venue conflict checks
+// compare times as strings, which only works once every time has two hour digits.
+//
+//   node prisma/normalize-schedule-times.js [--dry-run]
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const normalizeTime = (time) => time.padStart(5, '0');
+
+async function main() {
+  const { dryRun } = parseArgs(process.argv.slice(2));
+
+  const schedules = await prisma.schedule.findMany({
+    select: { id: true, startTime: true, endTime: true }
+  });
+
+  const unpadded = schedules.filter((schedule) =>
+    normalizeTime(schedule.startTime) !== schedule.startTime ||
+    normalizeTime(schedule.endTime) !== schedule.endTime
+  );
+
+  if (unpadded.length === 0) {
+    console.info('✅ All schedule times are already HH:MM');
+    return;
+  }
+
+  for (const schedule of unpadded) {
+    const startTime = normalizeTime(schedule.startTime);
+    const endTime = normalizeTime(schedule.endTime);
+
+    if (!dryRun) {
+      await prisma.schedule.update({
+        where: { id: schedule.id },
+        data: { startTime, endTime }
+      });
+    }
+
+    console.info(`   ${schedule.id}: ${schedule.startTime}-${schedule.endTime} -> ${startTime}-${endTime}`);
+  }
+
+  console.info(`${dryRun ? '🔎 Dry run, nothing was changed. Would normalize' : '🎉 Normalized'} ${unpadded.length} schedule(s)`);
+}
+
+main()
+  .then(async () => {
+    await prisma.$disconnect();
+  })
+  .catch(async (error) => {
+    console.error('❌ Normalizing schedule times failed:', error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -17,13 +17,31 @@ async function main() {
     prisma.notification.deleteMany(),
     prisma.enrollment.deleteMany(),
     prisma.schedule.deleteMany(),
+    prisma.academicTerm.deleteMany(),
+    prisma.creditLoadRule.deleteMany(),
     prisma.comment.deleteMany(),
     prisma.announcement.deleteMany(),
     prisma.course.deleteMany(),
     prisma.venue.deleteMany(),
-    prisma.user.deleteMany()
+    prisma.roleAssignment.deleteMany(),
+    prisma.role.deleteMany(),
+    prisma.user.deleteMany(),
+    prisma.department.deleteMany()
   ]);
 
+  const departments = [
+    { id: randomUUID(), code: 'ADM', name: 'Administration', faculty: null },
+    { id: randomUUID(), code: 'CS', name: 'Computer Science', faculty: 'Science' },
+    { id: randomUUID(), code: 'EE', name: 'Electrical Engineering', faculty: 'Engineering and the Built Environment' },
+    { id: randomUUID(), code: 'BA', name: 'Business Administration', faculty: 'Commerce' },
+    { id: randomUUID(), code: 'MATH', name: 'Mathematics', faculty: 'Science' },
+    { id: randomUUID(), code: 'CA', name: 'Creative Arts', faculty: 'Arts' }
+  ];
+  const departmentId = (name) => departments.find((department) => department.name === name).id;
+
+  await prisma.department.createMany({ data: departments, skipDuplicates: true });
+  console.info(`✅ Inserted ${departments.length} departments`);
+
   const passwordHash = await bcrypt.hash('Password123!', 10);
 
   const admin = {
@@ -34,7 +52,7 @@ async function main() {
     lastName: 'Matsvai',
     role: 'ADMIN',
     staffId: 'ADM-0001',
-    department: 'Administration'
+    departmentId: departmentId('Administration')
   };
 
   const lecturers = [
@@ -46,7 +64,7 @@ async function main() {
       lastName: 'Mudzengerere',
       role: 'LECTURER',
       staffId: 'L-1001',
-      department: 'Computer Science'
+      departmentId: departmentId('Computer Science')
     },
     {
       id: randomUUID(),
@@ -56,7 +74,7 @@ async function main() {
       lastName: 'Gumbo',
       role: 'LECTURER',
       staffId: 'L-1002',
-      department: 'Electrical Engineering'
+      departmentId: departmentId('Electrical Engineering')
     },
     {
       id: randomUUID(),
@@ -66,7 +84,7 @@ async function main() {
       lastName: 'Mutsvangwa',
       role: 'LECTURER',
       staffId: 'L-1003',
-      department: 'Business Administration'
+      departmentId: departmentId('Business Administration')
     },
     {
       id: randomUUID(),
@@ -76,7 +94,7 @@ async function main() {
       lastName: 'Matsinde',
       role: 'LECTURER',
       staffId: 'L-1004',
-      department: 'Mathematics'
+      departmentId: departmentId('Mathematics')
     },
     {
       id: randomUUID(),
@@ -86,7 +104,7 @@ async function main() {
       lastName: 'Chinamasa',
       role: 'LECTURER',
       staffId: 'L-1005',
-      department: 'Creative Arts'
+      departmentId: departmentId('Creative Arts')
     }
   ];
 
@@ -99,7 +117,7 @@ async function main() {
       lastName: 'Moyo',
       role: 'STUDENT',
       studentId: 'STU2025001',
-      department: 'Computer Science'
+      departmentId: departmentId('Computer Science')
     },
     {
       id: randomUUID(),
@@ -109,7 +127,7 @@ async function main() {
       lastName: 'Chimurenga',
       role: 'STUDENT',
       studentId: 'STU2025002',
-      department: 'Computer Science'
+      departmentId: departmentId('Computer Science')
     },
     {
       id: randomUUID(),
@@ -119,7 +137,7 @@ async function main() {
       lastName: 'Matsvai',
       role: 'STUDENT',
       studentId: 'STU2025003',
-      department: 'Electrical Engineering'
+      departmentId: departmentId('Electrical Engineering')
     },
     {
       id: randomUUID(),
@@ -129,7 +147,7 @@ async function main() {
       lastName: 'Mutasa',
       role: 'STUDENT',
       studentId: 'STU2025004',
-      department: 'Business Administration'
+      departmentId: departmentId('Business Administration')
     },
     {
       id: randomUUID(),
@@ -139,7 +157,7 @@ async function main() {
       lastName: 'Makoni',
       role: 'STUDENT',
       studentId: 'STU2025005',
-      department: 'Business Administration'
+      departmentId: departmentId('Business Administration')
     },
     {
       id: randomUUID(),
@@ -149,7 +167,7 @@ async function main() {
       lastName: 'Chikowore',
       role: 'STUDENT',
       studentId: 'STU2025006',
-      department: 'Creative Arts'
+      departmentId: departmentId('Creative Arts')
     },
     {
       id: randomUUID(),
@@ -159,7 +177,7 @@ async function main() {
       lastName: 'Zvobgo',
       role: 'STUDENT',
       studentId: 'STU2025007',
-      department: 'Mathematics'
+      departmentId: departmentId('Mathematics')
     },
     {
       id: randomUUID(),
@@ -169,7 +187,7 @@ async function main() {
       lastName: 'Mushonga',
       role: 'STUDENT',
       studentId: 'STU2025008',
-      department: 'Electrical Engineering'
+      departmentId: departmentId('Electrical Engineering')
     },
     {
       id: randomUUID(),
@@ -179,7 +197,7 @@ async function main() {
       lastName: 'Ngwenya',
       role: 'STUDENT',
       studentId: 'STU2025009',
-      department: 'Computer Science'
+      departmentId: departmentId('Computer Science')
     },
     {
       id: randomUUID(),
@@ -189,7 +207,7 @@ async function main() {
       lastName: 'Mudzengerere',
       role: 'STUDENT',
       studentId: 'STU2025010',
-      department: 'Mathematics'
+      departmentId: departmentId('Mathematics')
     },
     {
       id: randomUUID(),
@@ -199,7 +217,7 @@ async function main() {
       lastName: 'Gumbo',
       role: 'STUDENT',
       studentId: 'STU2025011',
-      department: 'Creative Arts'
+      departmentId: departmentId('Creative Arts')
     },
     {
       id: randomUUID(),
@@ -209,7 +227,7 @@ async function main() {
       lastName: 'Mutsvangwa',
       role: 'STUDENT',
       studentId: 'STU2025012',
-      department: 'Electrical Engineering'
+      departmentId: departmentId('Electrical Engineering')
     },
     {
       id: randomUUID(),
@@ -219,7 +237,7 @@ async function main() {
       lastName: 'Matsinde',
       role: 'STUDENT',
       studentId: 'STU2025013',
-      department: 'Computer Science'
+      departmentId: departmentId('Computer Science')
     },
     {
       id: randomUUID(),
@@ -229,7 +247,7 @@ async function main() {
       lastName: 'Chinamasa',
       role: 'STUDENT',
       studentId: 'STU2025014',
-      department: 'Mathematics'
+      departmentId: departmentId('Mathematics')
     },
     {
       id: randomUUID(),
@@ -239,7 +257,7 @@ async function main() {
       lastName: 'Musarurwa',
       role: 'STUDENT',
       studentId: 'STU2025015',
-      department: 'Business Administration'
+      departmentId: departmentId('Business Administration')
     }
   ];
 
@@ -247,6 +265,24 @@ async function main() {
   await prisma.user.createMany({ data: users, skipDuplicates: true });
   console.info(`✅ Inserted ${users.length} users`);
 
+  const roles = [
+    {
+      id: randomUUID(),
+      name: 'Timetable Officer',
+      description: 'Manages class schedules and venues across the university',
+      permissions: ['schedule:create:any', 'schedule:update:any', 'schedule:delete:any', 'venue:manage']
+    }
+  ];
+
+  await prisma.role.createMany({ data: roles, skipDuplicates: true });
+  console.info(`✅ Inserted ${roles.length} custom roles`);
+
+  await prisma.department.update({
+    where: { id: lecturers[0].departmentId },
+    data: { headId: lecturers[0].id }
+  });
+  console.info('✅ Appointed head of department');
+
   const venues = [
     // A - C
     { id: randomUUID(), name: 'Agriculture Conference Hall', building: 'Agriculture Block', capacity: 200, facilities: ['Projector', 'Sound System'], status: 'AVAILABLE' },
@@ -319,7 +355,7 @@ async function main() {
       code: 'CSC101',
       name: 'Introduction to Computer Science',
       description: 'Fundamental programming concepts, algorithms, and computational thinking.',
-      department: 'Computer Science',
+      departmentId: departmentId('Computer Science'),
       credits: 3,
       lecturerId: lecturers[0].id
     },
@@ -328,7 +364,7 @@ async function main() {
       code: 'CSC205',
       name: 'Data Structures and Algorithms',
       description: 'Analysis and implementation of data structures with algorithmic problem-solving.',
-      department: 'Computer Science',
+      departmentId: departmentId('Computer Science'),
       credits: 4,
       lecturerId: lecturers[0].id
     },
@@ -337,7 +373,7 @@ async function main() {
       code: 'CSC310',
       name: 'Software Engineering Project',
       description: 'Team-based software development lifecycle with agile methodologies.',
-      department: 'Computer Science',
+      departmentId: departmentId('Computer Science'),
       credits: 5,
       lecturerId: lecturers[0].id
     },
@@ -346,7 +382,7 @@ async function main() {
       code: 'PHY120',
       name: 'University Physics I',
       description: 'Mechanics, thermodynamics, and waves with laboratory applications.',
-      department: 'Electrical Engineering',
+      departmentId: departmentId('Electrical Engineering'),
       credits: 4,
       lecturerId: lecturers[1].id
     },
@@ -355,7 +391,7 @@ async function main() {
       code: 'ENG310',
       name: 'Systems Control Engineering',
       description: 'Modeling and control of dynamic systems using modern tools.',
-      department: 'Electrical Engineering',
+      departmentId: departmentId('Electrical Engineering'),
       credits: 4,
       lecturerId: lecturers[1].id
     },
@@ -364,7 +400,7 @@ async function main() {
       code: 'ENG201',
       name: 'Technical Writing and Communication',
       description: 'Professional communication strategies for engineers and scientists.',
-      department: 'Electrical Engineering',
+      departmentId: departmentId('Electrical Engineering'),
       credits: 3,
       lecturerId: lecturers[1].id
     },
@@ -373,7 +409,7 @@ async function main() {
       code: 'BUS150',
       name: 'Principles of Management',
       description: 'Introduction to management theories, organizational structures, and leadership.',
-      department: 'Business Administration',
+      departmentId: departmentId('Business Administration'),
       credits: 3,
       lecturerId: lecturers[2].id
     },
@@ -382,7 +418,7 @@ async function main() {
       code: 'BUS220',
       name: 'Business Analytics Fundamentals',
       description: 'Data analysis techniques for strategic decision-making using modern business tools.',
-      department: 'Business Administration',
+      departmentId: departmentId('Business Administration'),
       credits: 4,
       lecturerId: lecturers[2].id
     },
@@ -391,7 +427,7 @@ async function main() {
       code: 'MAT110',
       name: 'Calculus I',
       description: 'Limits, derivatives, and integrals with applications for science majors.',
-      department: 'Mathematics',
+      departmentId: departmentId('Mathematics'),
       credits: 4,
       lecturerId: lecturers[3].id
     },
@@ -400,7 +436,7 @@ async function main() {
       code: 'MAT220',
       name: 'Linear Algebra',
       description: 'Vector spaces, linear transformations, eigenvalues, and eigenvectors.',
-      department: 'Mathematics',
+      departmentId: departmentId('Mathematics'),
       credits: 3,
       lecturerId: lecturers[3].id
     },
@@ -409,7 +445,7 @@ async function main() {
       code: 'ART105',
       name: 'Digital Media and Design',
       description: 'Principles of digital illustration, animation, and multimedia storytelling.',
-      department: 'Creative Arts',
+      departmentId: departmentId('Creative Arts'),
       credits: 3,
       lecturerId: lecturers[4].id
     }
@@ -423,6 +459,20 @@ async function main() {
   const venueByName = Object.fromEntries(venues.map((venue) => [venue.name, venue]));
   const venueById = Object.fromEntries(venues.map((venue) => [venue.id, venue]));
 
+  const requisites = [
+    { course: 'CSC205', requiredCourse: 'CSC101', type: 'PREREQUISITE' },
+    { course: 'CSC310', requiredCourse: 'CSC205', type: 'PREREQUISITE' },
+    { course: 'MAT220', requiredCourse: 'MAT110', type: 'PREREQUISITE' },
+    { course: 'PHY120', requiredCourse: 'MAT110', type: 'COREQUISITE' }
+  ].map(({ course, requiredCourse, type }) => ({
+    courseId: courseByCode[course].id,
+    requiredCourseId: courseByCode[requiredCourse].id,
+    type
+  }));
+
+  await prisma.courseRequisite.createMany({ data: requisites, skipDuplicates: true });
+  console.info(`✅ Inserted ${requisites.length} course requisites`);
+
   const announcements = [
     {
       id: randomUUID(),
@@ -566,23 +616,65 @@ async function main() {
   await prisma.comment.createMany({ data: comments, skipDuplicates: true });
   console.info(`✅ Inserted ${comments.length} comments`);
 
+  // The current term started four weeks ago: 15 teaching weeks followed by two weeks of
+  // exams. Its add/drop period is kept open for another week so the demo data can be changed
+  const currentTermStart = createDate(28, 0);
+  const currentTerm = {
+    id: randomUUID(),
+    name: `${currentTermStart.getFullYear()} Semester 1`,
+    startDate: currentTermStart,
+    endDate: createDate(28 - 17 * 7, 0),
+    teachingWeeks: 15,
+    addDropDeadline: createDate(-7, 0),
+    examStartDate: createDate(28 - 15 * 7, 0),
+    examEndDate: createDate(28 - 17 * 7, 0),
+    isActive: true
+  };
+  const nextTermStart = createDate(28 - 21 * 7, 0);
+  const terms = [
+    currentTerm,
+    {
+      id: randomUUID(),
+      name: `${nextTermStart.getFullYear()} Semester 2`,
+      startDate: nextTermStart,
+      endDate: createDate(28 - 38 * 7, 0),
+      teachingWeeks: 15,
+      addDropOpensAt: createDate(28 - 19 * 7, 0),
+      addDropDeadline: createDate(14 - 21 * 7, 0),
+      examStartDate: createDate(28 - 36 * 7, 0),
+      examEndDate: createDate(28 - 38 * 7, 0),
+      isActive: false
+    }
+  ];
+
+  await prisma.academicTerm.createMany({ data: terms, skipDuplicates: true });
+  console.info(`✅ Inserted ${terms.length} academic terms`);
+
+  const creditLoadRules = [
+    { id: randomUUID(), program: null, yearOfStudy: null, minCredits: 6, maxCredits: 24 },
+    { id: randomUUID(), program: null, yearOfStudy: 1, minCredits: 6, maxCredits: 18 }
+  ];
+
+  await prisma.creditLoadRule.createMany({ data: creditLoadRules, skipDuplicates: true });
+  console.info(`✅ Inserted ${creditLoadRules.length} credit load rules`);
+
   const scheduleTemplates = [
-    { courseCode: 'CSC101', dayOfWeek: 'MONDAY', startTime: '08:00', endTime: '10:00', venueName: 'Computer Lab Education', semester: '2025 Semester 1' },
-    { courseCode: 'CSC101', dayOfWeek: 'THURSDAY', startTime: '13:00', endTime: '15:00', venueName: 'Computer Science Hardware Lab', semester: '2025 Semester 1' },
-    { courseCode: 'CSC205', dayOfWeek: 'TUESDAY', startTime: '11:00', endTime: '13:00', venueName: 'Computer Engineering', semester: '2025 Semester 1' },
-    { courseCode: 'CSC205', dayOfWeek: 'FRIDAY', startTime: '09:00', endTime: '11:00', venueName: 'Network Degree Lab', semester: '2025 Semester 1' },
-    { courseCode: 'CSC310', dayOfWeek: 'WEDNESDAY', startTime: '15:00', endTime: '18:00', venueName: 'CAPS IT', semester: '2025 Semester 1' },
-    { courseCode: 'CSC310', dayOfWeek: 'SATURDAY', startTime: '10:00', endTime: '13:00', venueName: 'CAPS IT', semester: '2025 Semester 1' },
-    { courseCode: 'PHY120', dayOfWeek: 'TUESDAY', startTime: '09:00', endTime: '11:00', venueName: 'Electrical Engineering Lab', semester: '2025 Semester 1' },
-    { courseCode: 'PHY120', dayOfWeek: 'THURSDAY', startTime: '08:00', endTime: '10:00', venueName: 'Electrical Engineering Lab', semester: '2025 Semester 1' },
-    { courseCode: 'ENG310', dayOfWeek: 'THURSDAY', startTime: '15:00', endTime: '17:00', venueName: 'Electrical Engineering Seminar Room 4', semester: '2025 Semester 1' },
-    { courseCode: 'ENG201', dayOfWeek: 'TUESDAY', startTime: '13:00', endTime: '14:30', venueName: 'Library Computer Lab', semester: '2025 Semester 1' },
-    { courseCode: 'BUS150', dayOfWeek: 'MONDAY', startTime: '14:00', endTime: '16:00', venueName: 'Business Management Science and Economics Theatre', semester: '2025 Semester 1' },
-    { courseCode: 'BUS220', dayOfWeek: 'WEDNESDAY', startTime: '08:00', endTime: '10:00', venueName: 'New Commerce Building (LG3, LG4)', semester: '2025 Semester 1' },
-    { courseCode: 'MAT110', dayOfWeek: 'TUESDAY', startTime: '10:00', endTime: '12:00', venueName: 'Mathematics Seminar Room 5', semester: '2025 Semester 1' },
-    { courseCode: 'MAT220', dayOfWeek: 'FRIDAY', startTime: '11:00', endTime: '13:00', venueName: 'Mathematics Seminar Room 5', semester: '2025 Semester 1' },
-    { courseCode: 'ART105', dayOfWeek: 'FRIDAY', startTime: '09:00', endTime: '12:00', venueName: 'Education Art and Design Studio Building', semester: '2025 Semester 1' },
-    { courseCode: 'ART105', dayOfWeek: 'WEDNESDAY', startTime: '16:00', endTime: '18:00', venueName: 'Education Art and Design Studio Building', semester: '2025 Semester 1' }
+    { courseCode: 'CSC101', dayOfWeek: 'MONDAY', startTime: '08:00', endTime: '10:00', venueName: 'Computer Lab Education' },
+    { courseCode: 'CSC101', dayOfWeek: 'THURSDAY', startTime: '13:00', endTime: '15:00', venueName: 'Computer Science Hardware Lab' },
+    { courseCode: 'CSC205', dayOfWeek: 'TUESDAY', startTime: '11:00', endTime: '13:00', venueName: 'Computer Engineering' },
+    { courseCode: 'CSC205', dayOfWeek: 'FRIDAY', startTime: '09:00', endTime: '11:00', venueName: 'Network Degree Lab' },
+    { courseCode: 'CSC310', dayOfWeek: 'WEDNESDAY', startTime: '15:00', endTime: '18:00', venueName: 'CAPS IT' },
+    { courseCode: 'CSC310', dayOfWeek: 'SATURDAY', startTime: '10:00', endTime: '13:00', venueName: 'CAPS IT' },
+    { courseCode: 'PHY120', dayOfWeek: 'TUESDAY', startTime: '09:00', endTime: '11:00', venueName: 'Electrical Engineering Lab' },
+    { courseCode: 'PHY120', dayOfWeek: 'THURSDAY', startTime: '08:00', endTime: '10:00', venueName: 'Electrical Engineering Lab' },
+    { courseCode: 'ENG310', dayOfWeek: 'THURSDAY', startTime: '15:00', endTime: '17:00', venueName: 'Electrical Engineering Seminar Room 4' },
+    { courseCode: 'ENG201', dayOfWeek: 'TUESDAY', startTime: '13:00', endTime: '14:30', venueName: 'Library Computer Lab' },
+    { courseCode: 'BUS150', dayOfWeek: 'MONDAY', startTime: '14:00', endTime: '16:00', venueName: 'Business Management Science and Economics Theatre' },
+    { courseCode: 'BUS220', dayOfWeek: 'WEDNESDAY', startTime: '08:00', endTime: '10:00', venueName: 'New Commerce Building (LG3, LG4)' },
+    { courseCode: 'MAT110', dayOfWeek: 'TUESDAY', startTime: '10:00', endTime: '12:00', venueName: 'Mathematics Seminar Room 5' },
+    { courseCode: 'MAT220', dayOfWeek: 'FRIDAY', startTime: '11:00', endTime: '13:00', venueName: 'Mathematics Seminar Room 5' },
+    { courseCode: 'ART105', dayOfWeek: 'FRIDAY', startTime: '09:00', endTime: '12:00', venueName: 'Education Art and Design Studio Building' },
+    { courseCode: 'ART105', dayOfWeek: 'WEDNESDAY', startTime: '16:00', endTime: '18:00', venueName: 'Education Art and Design Studio Building' }
   ];
 
   const schedules = scheduleTemplates.map((template, index) => {
@@ -597,7 +689,7 @@ async function main() {
       dayOfWeek: template.dayOfWeek,
       startTime: template.startTime,
       endTime: template.endTime,
-      semester: template.semester,
+      termId: currentTerm.id,
       createdAt: createDate(daysAgo, 8 + (index % 5))
     };
   });
@@ -605,6 +697,36 @@ async function main() {
   await prisma.schedule.createMany({ data: schedules, skipDuplicates: true });
   console.info(`✅ Inserted ${schedules.length} schedules`);
 
+  // CSC101 is team-taught, with a senior student as TA
+  const teachingAssistant = students[students.length - 1];
+  const courseStaff = [
+    { userId: lecturers[1].id, role: 'LECTURER' },
+    { userId: teachingAssistant.id, role: 'TA' }
+  ].map((member) => ({
+    id: randomUUID(),
+    courseId: courseByCode.CSC101.id,
+    ...member
+  }));
+
+  await prisma.courseStaff.createMany({ data: courseStaff, skipDuplicates: true });
+  console.info(`✅ Inserted ${courseStaff.length} course staff members`);
+
+  // CSC101 runs with tutorial groups. Classes and students can be assigned to them
+  // through the API.
+  const sections = [
+    { code: 'L1', type: 'LECTURE', capacity: null, staffId: lecturers[0].id },
+    { code: 'T1', type: 'TUTORIAL', capacity: 25, staffId: lecturers[0].id },
+    { code: 'T2', type: 'TUTORIAL', capacity: 25, staffId: teachingAssistant.id }
+  ].map((section) => ({
+    id: randomUUID(),
+    courseId: courseByCode.CSC101.id,
+    termId: currentTerm.id,
+    ...section
+  }));
+
+  await prisma.courseSection.createMany({ data: sections, skipDuplicates: true });
+  console.info(`✅ Inserted ${sections.length} course sections`);
+
   const enrollments = [];
   const statusCycle = ['ENROLLED', 'IN_PROGRESS', 'WAITLISTED', 'COMPLETED'];
   students.forEach((student, idx) => {
@@ -621,6 +743,7 @@ async function main() {
         id: randomUUID(),
         courseId: courses[courseIndex].id,
         studentId: student.id,
+        termId: currentTerm.id,
         status: statusCycle[(idx + innerIdx) % statusCycle.length],
         createdAt: createDate(daysAgo + innerIdx, 11 + ((courseIndex + innerIdx) % 3) * 2)
       });
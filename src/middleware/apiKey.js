@@ -0,0 +1,10 @@
+// Lets protect() accept API keys holding the given scope for the routes that follow.
+// Services that do not use this middleware reject API keys.
+const acceptApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+module.exports = acceptApiKey;
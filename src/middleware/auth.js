@@ -1,7 +1,48 @@
-const jwt = require('jsonwebtoken');
 const { AppError } = require('../utils/errorHandler');
+const { verifyAccessToken } = require('../utils/tokens');
+const { getRequestApiKey, verifyApiKey } = require('../utils/apiKeys');
+const { buildGrants } = require('../shared/permissions');
 const prisma = require('../config/db');
 
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Authenticate an integration by API key, for services that declared a scope via acceptApiKey()
+const authenticateApiKey = async (req, key, next) => {
+  if (!req.apiKeyScope) {
+    return next(new AppError('API keys are not accepted for this route', 401));
+  }
+
+  try {
+    const apiKey = await verifyApiKey(prisma, key);
+
+    if (!READ_ONLY_METHODS.includes(req.method)) {
+      return next(new AppError('API keys are read-only', 403));
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return next(new AppError(`API key is missing the '${req.apiKeyScope}' scope`, 403));
+    }
+
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes
+    };
+
+    // Integrations act as a principal without a user account or permissions
+    req.user = {
+      id: null,
+      role: 'API_KEY',
+      firstName: apiKey.name,
+      lastName: '',
+      grants: []
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 const protect = async (req, res, next) => {
   try {
     let token;
@@ -11,14 +52,19 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
-    // Check if token exists
+    // Check if token exists, falling back to an API key
     if (!token) {
+      const apiKey = getRequestApiKey(req);
+      if (apiKey) {
+        return authenticateApiKey(req, apiKey, next);
+      }
+
       return next(new AppError('Not authorized, no token provided', 401));
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and make sure its session is still active
+      const decoded = await verifyAccessToken(prisma, token);
 
       // Get user from database (exclude password)
       const user = await prisma.user.findUnique({
@@ -31,8 +77,23 @@ const protect = async (req, res, next) => {
           role: true,
           studentId: true,
           staffId: true,
-          department: true,
-          createdAt: true
+          departmentId: true,
+          createdAt: true,
+          status: true,
+          roleAssignments: {
+            select: {
+              departmentId: true,
+              role: {
+                select: { permissions: true }
+              }
+            }
+          },
+          headedDepartments: {
+            select: { id: true }
+          },
+          courseStaff: {
+            select: { courseId: true, role: true }
+          }
         }
       });
 
@@ -40,10 +101,51 @@ const protect = async (req, res, next) => {
         return next(new AppError('User not found', 404));
       }
 
-      // Attach user to request
-      req.user = user;
+      if (user.status !== 'ACTIVE') {
+        return next(new AppError('Account is deactivated', 401));
+      }
+
+      // Attach user to request, with custom role, department head and course staff grants
+      // flattened for can()
+      const { roleAssignments, headedDepartments, courseStaff, ...userData } = user;
+      req.user = {
+        ...userData,
+        grants: buildGrants({ roleAssignments, headedDepartments, courseStaff })
+      };
+      req.sessionId = decoded.sid;
+
+      if (decoded.impersonation) {
+        const { impersonation } = decoded;
+        req.impersonator = {
+          id: impersonation.adminId,
+          impersonationId: impersonation.id
+        };
+
+        // Audit every request made while impersonating, including rejected ones
+        res.on('finish', () => {
+          prisma.impersonationAuditLog.create({
+            data: {
+              impersonationId: impersonation.id,
+              method: req.method,
+              path: req.originalUrl,
+              statusCode: res.statusCode,
+              ipAddress: (req.headers['x-forwarded-for'] || req.ip).split(',')[0].trim()
+            }
+          }).catch((error) => {
+            console.error('Failed to write impersonation audit log:', error.message);
+          });
+        });
+
+        if (impersonation.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+          return next(new AppError('Impersonation is read-only', 403));
+        }
+      }
+
       next();
     } catch (error) {
+      if (error.isOperational) {
+        return next(error);
+      }
       return next(new AppError('Not authorized, invalid token', 401));
     }
   } catch (error) {
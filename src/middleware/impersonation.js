@@ -0,0 +1,13 @@
+const { AppError } = require('../utils/errorHandler');
+
+// Blocks account security actions (sessions, 2FA, starting another impersonation)
+// for requests made with an impersonation token, even when writes are allowed
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(new AppError('This action is not available while impersonating a user', 403));
+  }
+
+  next();
+};
+
+module.exports = denyImpersonation;
@@ -0,0 +1,20 @@
+const { AppError } = require('../utils/errorHandler');
+const { hasPermission } = require('../shared/permissions');
+
+// Route guard: the user must hold the permission in some form. Handlers still call
+// can() with the loaded resource for ownership and department checks.
+const requirePermission = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('User not authenticated', 401));
+    }
+
+    if (!hasPermission(req.user, action)) {
+      return next(new AppError(`You do not have permission to perform '${action}'`, 403));
+    }
+
+    next();
+  };
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,28 @@
+const { AppError } = require('../utils/errorHandler');
+const { SERVICE_TOKEN_HEADER, verifyServiceToken } = require('../utils/serviceAuth');
+
+// Guard for internal routes that may only be called by other services
+const protectService = (serviceName, ...allowedCallers) => {
+  return (req, res, next) => {
+    const token = req.headers[SERVICE_TOKEN_HEADER];
+
+    if (!token) {
+      return next(new AppError('Not authorized, no service token provided', 401));
+    }
+
+    try {
+      const decoded = verifyServiceToken(token, serviceName);
+
+      if (allowedCallers.length > 0 && !allowedCallers.includes(decoded.iss)) {
+        return next(new AppError(`Service ${decoded.iss} is not allowed to call this route`, 403));
+      }
+
+      req.service = decoded.iss;
+      next();
+    } catch (error) {
+      return next(new AppError('Not authorized, invalid service token', 401));
+    }
+  };
+};
+
+module.exports = protectService;
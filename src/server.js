@@ -7,10 +7,14 @@ const { createProxyMiddleware } = require('http-proxy-middleware');
 const swaggerUi = require('swagger-ui-express');
 const rateLimit = require('express-rate-limit');
 
-const { errorHandler } = require('./utils/errorHandler');
+const { errorHandler, AppError } = require('./utils/errorHandler');
+const protectService = require('./middleware/serviceAuth');
+const { getRequestApiKey, verifyApiKey } = require('./utils/apiKeys');
+const prisma = require('./config/db');
 const logger = require('./utils/logger');
 const swaggerDocument = require('./config/swagger.json');
 const socketHandler = require('./socket/socketHandler');
+const socketEmitter = require('./shared/socketEmitter');
 
 // Initialize express app
 const app = express();
@@ -39,12 +43,58 @@ app.use(cors());
 app.use(logger);
 
 // Rate limiting for auth routes
+// Kept generous because campus labs share one IP behind NAT; brute force
+// against individual accounts is handled by the lockout in auth-service
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 requests per windowMs
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '100'), // Limit each IP per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 
+// API keys for third-party integrations are read-only and only reach the
+// services matching their scopes
+const API_KEY_ROUTE_SCOPES = {
+  '/api/announcements': 'announcements:read',
+  '/api/venues': 'venues:read',
+  '/api/schedules': 'schedules:read'
+};
+
+const authenticateApiKey = async (req, res, next) => {
+  const key = getRequestApiKey(req);
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const apiKey = await verifyApiKey(prisma, key);
+    const route = Object.keys(API_KEY_ROUTE_SCOPES).find((prefix) => req.originalUrl.startsWith(prefix));
+
+    if (!route || !['GET', 'HEAD'].includes(req.method)) {
+      return next(new AppError('API keys only allow reading announcements, venues and schedules', 403));
+    }
+
+    if (!apiKey.scopes.includes(API_KEY_ROUTE_SCOPES[route])) {
+      return next(new AppError(`API key is missing the '${API_KEY_ROUTE_SCOPES[route]}' scope`, 403));
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Per-key rate limit, configured on each API key
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey.id,
+  skip: (req) => !req.apiKey,
+  message: 'API key rate limit exceeded, please try again later.'
+});
+
+app.use('/api', authenticateApiKey, apiKeyLimiter);
+
 // Simple proxy for auth service using http-proxy
 const httpProxy = require('http-proxy');
 
@@ -112,17 +162,55 @@ const userServiceProxy = createProxyMiddleware({
   logLevel: 'warn'
 });
 
+const materialServiceProxy = createProxyMiddleware({
+  target: 'http://localhost:3009',
+  changeOrigin: true,
+  pathRewrite: { '^/api/materials': '' },
+  logLevel: 'warn'
+});
+
+const attendanceServiceProxy = createProxyMiddleware({
+  target: 'http://localhost:3010',
+  changeOrigin: true,
+  pathRewrite: { '^/api/attendance': '' },
+  logLevel: 'warn'
+});
+
 app.use('/api/courses', courseServiceProxy);
 app.use('/api/notifications', notificationServiceProxy);
 app.use('/api/schedules', scheduleServiceProxy);
 app.use('/api/venues', venueServiceProxy);
 app.use('/api/announcements', announcementServiceProxy);
 app.use('/api/users', userServiceProxy);
+app.use('/api/materials', materialServiceProxy);
+app.use('/api/attendance', attendanceServiceProxy);
 
 // Body parsers - Only for routes handled by the gateway itself
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Events each service may pass on to the socket handlers. Services run in their own
+// process, so their events reach the sockets through this route.
+const FORWARDED_SOCKET_EVENTS = {
+  'schedule-service': ['schedule.created', 'schedule.updated'],
+  'announcement-service': ['announcement.created'],
+  'attendance-service': ['attendance.updated']
+};
+
+app.post('/internal/events', protectService('api-gateway', ...Object.keys(FORWARDED_SOCKET_EVENTS)), (req, res, next) => {
+  const { event, payload } = req.body;
+
+  if (!FORWARDED_SOCKET_EVENTS[req.service].includes(event)) {
+    return next(new AppError(`Service ${req.service} cannot send ${event} events`, 403));
+  }
+
+  socketEmitter.emit(event, payload);
+
+  res.status(202).json({
+    success: true
+  });
+});
+
 // API Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 // app.use('/api-docs/swagger.json', swaggerUi.setup(swaggerDocument)); // Removed incorrect line
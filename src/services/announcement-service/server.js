@@ -4,16 +4,18 @@ const cors = require('cors');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
 const { validateRequired, validateTargetAudience } = require('../../utils/validator');
-const { serviceRequest } = require('../../shared/utils');
+const { createServiceClient, emitSocketEvent } = require('../../shared/utils');
 const protect = require('../../middleware/auth');
-const authorize = require('../../middleware/role');
-const socketEmitter = require('../../shared/socketEmitter');
+const acceptApiKey = require('../../middleware/apiKey');
+const { can, hasPermission, getPermissionScope } = require('../../shared/permissions');
+const { getActiveTerm } = require('../../shared/terms');
 
 const app = express();
 const PORT = process.env.ANNOUNCEMENT_SERVICE_PORT || 3007;
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('announcement-service');
 
 // Middleware
 app.use(cors());
@@ -34,12 +36,96 @@ app.get('/health', (req, res) => {
   });
 });
 
-// @desc    Create announcement
+const seatedEnrollmentWhere = {
+  OR: [
+    { status: null },
+    { status: { not: 'WAITLISTED' } }
+  ]
+};
+
+// Announcements the user may see: general ones and their own, plus course announcements
+// of courses they are seated in, teach, are on the teaching team of or may announce to
+// through their department. Admins see everything.
+const visibleAnnouncementWhere = (user) => {
+  if (user.role === 'ADMIN') {
+    return {};
+  }
+
+  if (!user.id) {
+    return { courseId: null };
+  }
+
+  const { global, departmentIds } = getPermissionScope(user, 'course:announce');
+
+  if (global) {
+    return {};
+  }
+
+  return {
+    OR: [
+      { courseId: null },
+      { authorId: user.id },
+      {
+        course: {
+          OR: [
+            { lecturerId: user.id },
+            { staff: { some: { userId: user.id } } },
+            { enrollments: { some: { studentId: user.id, ...seatedEnrollmentWhere } } },
+            ...(departmentIds.length > 0 ? [{ departmentId: { in: departmentIds } }] : [])
+          ]
+        }
+      }
+    ]
+  };
+};
+
+// Load an announcement the user may see
+const getVisibleAnnouncement = async (user, id, include) => {
+  const announcement = await prisma.announcement.findFirst({
+    where: { AND: [{ id }, visibleAnnouncementWhere(user)] },
+    include
+  });
+
+  if (!announcement) {
+    throw new AppError('Announcement not found', 404);
+  }
+
+  return announcement;
+};
+
+// Students of the course in the active term and its teaching team
+const getCourseAudience = async (course) => {
+  const activeTerm = await getActiveTerm(prisma);
+
+  const [enrollments, staff] = await Promise.all([
+    prisma.enrollment.findMany({
+      where: {
+        courseId: course.id,
+        ...(activeTerm && { termId: activeTerm.id }),
+        ...seatedEnrollmentWhere
+      },
+      select: { studentId: true }
+    }),
+    prisma.courseStaff.findMany({
+      where: { courseId: course.id },
+      select: { userId: true }
+    })
+  ]);
+
+  return [...new Set([
+    course.lecturerId,
+    ...enrollments.map((enrollment) => enrollment.studentId),
+    ...staff.map((member) => member.userId)
+  ])];
+};
+
+// @desc    Create announcement. With a courseId it is only shown to the course's
+//          students and teaching team, who can all post them.
 // @route   POST /
-// @access  Private (Lecturers/Admins)
+// @access  Private (Lecturers/Admins, or course teaching team)
 const createAnnouncement = async (req, res, next) => {
   try {
-    const { title, content, targetAudience = 'ALL', pinned = false } = req.body;
+    const { title, content, targetAudience = 'ALL', pinned = false, courseId } = req.body;
 
     validateRequired(['title', 'content'], req.body);
 
@@ -47,12 +133,34 @@ const createAnnouncement = async (req, res, next) => {
       return next(new AppError('Invalid target audience', 400));
     }
 
+    let course = null;
+    if (courseId) {
+      course = await prisma.course.findUnique({
+        where: { id: courseId }
+      });
+
+      if (!course) {
+        return next(new AppError('Course not found', 404));
+      }
+
+      if (!can(req.user, 'course:announce', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId })) {
+        return next(new AppError('Not authorized to post announcements to this course', 403));
+      }
+    } else if (!hasPermission(req.user, 'announcement:create')) {
+      return next(new AppError('Not authorized to post announcements', 403));
+    }
+
+    if (pinned && !can(req.user, 'announcement:pin', { ownerId: req.user.id, courseId: courseId || null })) {
+      return next(new AppError('Not authorized to pin announcements', 403));
+    }
+
     const announcement = await prisma.announcement.create({
       data: {
         title,
         content,
         targetAudience,
         pinned,
+        courseId: courseId || null,
         authorId: req.user.id
       },
       include: {
@@ -68,17 +176,21 @@ const createAnnouncement = async (req, res, next) => {
     });
 
     // Emit announcement creation event
-    socketEmitter.emit('announcement.created', announcement);
+    await emitSocketEvent('announcement-service', 'announcement.created', announcement);
 
     // Create notifications for targeted users
     try {
+      const audience = course
+        ? { userIds: await getCourseAudience(course) }
+        : { targetAudience };
+
       await serviceRequest('notification-service', '/', {
         method: 'POST',
         data: {
           type: 'NEW_ANNOUNCEMENT',
-          message: `New announcement: ${title}`,
+          message: course ? `New announcement in ${course.code}: ${title}` : `New announcement: ${title}`,
           link: `/announcements/${announcement.id}`,
-          targetAudience,
+          ...audience,
           excludeUserId: req.user.id
         }
       });
@@ -100,12 +212,16 @@ const createAnnouncement = async (req, res, next) => {
 // @access  Private
 const getAnnouncements = async (req, res, next) => {
   try {
-    const { targetAudience, pinned, page = 1, limit = 10, search } = req.query;
+    const { targetAudience, pinned, page = 1, limit = 10, search, courseId } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
-    const where = {};
+    const where = { AND: [visibleAnnouncementWhere(req.user)] };
+
+    if (courseId) {
+      where.courseId = courseId;
+    }
 
     if (targetAudience) {
       where.targetAudience = targetAudience;
@@ -179,37 +295,30 @@ const getAnnouncement = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const announcement = await prisma.announcement.findUnique({
-      where: { id },
-      include: {
-        author: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            role: true
+    const announcement = await getVisibleAnnouncement(req.user, id, {
+      author: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          role: true
+        }
+      },
+      comments: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              role: true
+            }
           }
         },
-        comments: {
-          include: {
-            user: {
-              select: {
-                id: true,
-                firstName: true,
-                lastName: true,
-                role: true
-              }
-            }
-          },
-          orderBy: { createdAt: 'desc' }
-        }
+        orderBy: { createdAt: 'desc' }
       }
     });
 
-    if (!announcement) {
-      return next(new AppError('Announcement not found', 404));
-    }
-
     res.status(200).json({
       success: true,
       data: announcement
@@ -236,7 +345,7 @@ const updateAnnouncement = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'ADMIN' && announcement.authorId !== req.user.id) {
+    if (!can(req.user, 'announcement:update', { ownerId: announcement.authorId, courseId: announcement.courseId })) {
       return next(new AppError('Not authorized to update this announcement', 403));
     }
 
@@ -249,7 +358,12 @@ const updateAnnouncement = async (req, res, next) => {
       }
       updateData.targetAudience = targetAudience;
     }
-    if (pinned !== undefined) updateData.pinned = pinned;
+    if (pinned !== undefined && pinned !== announcement.pinned) {
+      if (!can(req.user, 'announcement:pin', { ownerId: announcement.authorId, courseId: announcement.courseId })) {
+        return next(new AppError('Not authorized to pin this announcement', 403));
+      }
+      updateData.pinned = pinned;
+    }
 
     const updatedAnnouncement = await prisma.announcement.update({
       where: { id },
@@ -291,7 +405,7 @@ const deleteAnnouncement = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'ADMIN' && announcement.authorId !== req.user.id) {
+    if (!can(req.user, 'announcement:delete', { ownerId: announcement.authorId, courseId: announcement.courseId })) {
       return next(new AppError('Not authorized to delete this announcement', 403));
     }
 
@@ -318,13 +432,7 @@ const addComment = async (req, res, next) => {
 
     validateRequired(['content'], req.body);
 
-    const announcement = await prisma.announcement.findUnique({
-      where: { id }
-    });
-
-    if (!announcement) {
-      return next(new AppError('Announcement not found', 404));
-    }
+    const announcement = await getVisibleAnnouncement(req.user, id);
 
     const comment = await prisma.comment.create({
       data: {
@@ -387,7 +495,7 @@ const deleteComment = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'ADMIN' && comment.userId !== req.user.id) {
+    if (!can(req.user, 'comment:delete', { ownerId: comment.userId })) {
       return next(new AppError('Not authorized to delete this comment', 403));
     }
 
@@ -405,9 +513,10 @@ const deleteComment = async (req, res, next) => {
 };
 
 // Routes
+app.use(acceptApiKey('announcements:read'));
 app.use(protect);
 
-app.post('/', authorize('LECTURER', 'ADMIN'), createAnnouncement);
+app.post('/', createAnnouncement);
 app.get('/', getAnnouncements);
 app.get('/:id', getAnnouncement);
 app.put('/:id', updateAnnouncement);
@@ -0,0 +1,789 @@
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../../utils/errorHandler');
+const { validateRequired } = require('../../utils/validator');
+const { TOTP_PERIOD, generateSecret, generateTotp, verifyTotp } = require('../../utils/totp');
+const protect = require('../../middleware/auth');
+const requirePermission = require('../../middleware/permission');
+const { can } = require('../../shared/permissions');
+const { resolveTermId } = require('../../shared/terms');
+const { emitSocketEvent } = require('../../shared/utils');
+
+const app = express();
+const PORT = process.env.ATTENDANCE_SERVICE_PORT || 3010;
+
+// Initialize Prisma Client
+const prisma = new PrismaClient();
+
+// Sessions nobody closed stop accepting check-ins after this long
+const SESSION_MAX_MINUTES = parseInt(process.env.ATTENDANCE_SESSION_MAX_MINUTES || '180');
+// Used for venues with a location but no check-in radius of their own
+const DEFAULT_CHECK_IN_RADIUS = parseInt(process.env.ATTENDANCE_CHECK_IN_RADIUS_METERS || '100');
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Simple request logging
+app.use((req, res, next) => {
+  console.log(`[ATTENDANCE SERVICE] ${new Date().toISOString()} ${req.method} ${req.path}`);
+  next();
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Attendance Service is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+const seatedEnrollmentWhere = {
+  OR: [
+    { status: null },
+    { status: { not: 'WAITLISTED' } }
+  ]
+};
+
+const sessionInclude = {
+  schedule: {
+    select: {
+      id: true,
+      dayOfWeek: true,
+      startTime: true,
+      endTime: true,
+      venue: {
+        select: {
+          id: true,
+          name: true,
+          building: true
+        }
+      }
+    }
+  },
+  course: {
+    select: {
+      id: true,
+      code: true,
+      name: true
+    }
+  },
+  section: {
+    select: {
+      id: true,
+      code: true,
+      type: true
+    }
+  },
+  openedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  },
+  _count: {
+    select: { records: true }
+  }
+};
+
+const getOpenCutoff = () => {
+  return new Date(Date.now() - SESSION_MAX_MINUTES * 60 * 1000);
+};
+
+const isSessionOpen = (session) => {
+  return session.closedAt === null && session.openedAt > getOpenCutoff();
+};
+
+// Sessions are returned without the secret their check-in codes are derived from
+const toSessionResponse = (session) => {
+  const { codeSecret, ...data } = session;
+
+  return {
+    ...data,
+    isOpen: isSessionOpen(session)
+  };
+};
+
+// The current check-in code of a session and when it rotates. The QR payload carries
+// the session ID as well, so scanning it checks in to the right session.
+const getCurrentCode = (session) => {
+  const step = TOTP_PERIOD * 1000;
+  const code = generateTotp(session.codeSecret);
+
+  return {
+    sessionId: session.id,
+    code,
+    expiresAt: new Date((Math.floor(Date.now() / step) + 1) * step),
+    qrPayload: JSON.stringify({ sessionId: session.id, code })
+  };
+};
+
+// Attendance of a course is managed by its lecturer, the lecturer of the class, its
+// teaching team and department head
+const canManageAttendance = (user, course, lecturerIds = []) => {
+  return can(user, 'attendance:manage', {
+    ownerId: [course.lecturerId, ...lecturerIds],
+    departmentId: course.departmentId,
+    courseId: course.id
+  });
+};
+
+const getManageableCourse = async (user, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { id: true, code: true, name: true, lecturerId: true, departmentId: true }
+  });
+
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  if (!canManageAttendance(user, course)) {
+    throw new AppError('Not authorized to manage attendance for this course', 403);
+  }
+
+  return course;
+};
+
+const getManageableSession = async (user, id) => {
+  const session = await prisma.attendanceSession.findUnique({
+    where: { id },
+    include: {
+      ...sessionInclude,
+      schedule: {
+        select: {
+          ...sessionInclude.schedule.select,
+          lecturerId: true
+        }
+      },
+      course: {
+        select: {
+          ...sessionInclude.course.select,
+          lecturerId: true,
+          departmentId: true
+        }
+      }
+    }
+  });
+
+  if (!session) {
+    throw new AppError('Attendance session not found', 404);
+  }
+
+  // The schedule is cleared once deleted, leaving the course's teaching team
+  const scheduleLecturerIds = session.schedule ? [session.schedule.lecturerId] : [];
+  if (!canManageAttendance(user, session.course, scheduleLecturerIds)) {
+    throw new AppError('Not authorized to manage attendance for this class', 403);
+  }
+
+  return session;
+};
+
+// The student's seated enrollment for the class: same course and term, and the
+// session's section for tutorials and labs
+const getSessionEnrollment = (studentId, session) => {
+  return prisma.enrollment.findFirst({
+    where: {
+      courseId: session.courseId,
+      studentId,
+      ...(session.termId && { termId: session.termId }),
+      ...(session.sectionId && { sections: { some: { sectionId: session.sectionId } } }),
+      ...seatedEnrollmentWhere
+    }
+  });
+};
+
+// Great-circle distance in metres between two points
+const distanceInMeters = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const earthRadius = 6371000;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+};
+
+const hasLocation = (venue) => {
+  return venue !== null && venue.latitude !== null && venue.longitude !== null;
+};
+
+const assertAtVenue = (venue, { latitude, longitude }) => {
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+    throw new AppError('Your location is needed to check in to this class', 400);
+  }
+
+  const position = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+  if (Number.isNaN(position.latitude) || Number.isNaN(position.longitude)) {
+    throw new AppError('latitude and longitude must be numbers', 400);
+  }
+
+  const radius = venue.checkInRadius || DEFAULT_CHECK_IN_RADIUS;
+  if (distanceInMeters(venue, position) > radius) {
+    throw new AppError(`You must be at ${venue.name} to check in to this class`, 403);
+  }
+};
+
+// Send the live check-in count to the course room
+const emitAttendanceUpdate = async (session) => {
+  const count = await prisma.attendanceRecord.count({
+    where: { sessionId: session.id }
+  });
+
+  await emitSocketEvent('attendance-service', 'attendance.updated', {
+    sessionId: session.id,
+    scheduleId: session.scheduleId,
+    courseId: session.courseId,
+    sectionId: session.sectionId,
+    isOpen: isSessionOpen(session),
+    count
+  });
+};
+
+// Attended and expected sessions of one enrollment. Students are expected at the
+// sessions of their enrollment's term for classes of the whole course or of their sections.
+const summarizeEnrollment = (enrollment, sessions, studentId) => {
+  const sectionIds = new Set(enrollment.sections.map((section) => section.sectionId));
+
+  const expected = sessions.filter((session) =>
+    session.courseId === enrollment.courseId &&
+    (!enrollment.termId || session.termId === enrollment.termId) &&
+    (session.sectionId === null || sectionIds.has(session.sectionId))
+  );
+  const attended = expected.filter((session) =>
+    session.records.some((record) => record.studentId === studentId)
+  );
+
+  return {
+    attended: attended.length,
+    expected: expected.length,
+    percentage: expected.length > 0
+      ? Math.round(attended.length / expected.length * 1000) / 10
+      : null
+  };
+};
+
+// @desc    Open an attendance session for a class
+// @route   POST /sessions
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const openSession = async (req, res, next) => {
+  try {
+    const { scheduleId, validateVenue = false } = req.body;
+
+    validateRequired(['scheduleId'], req.body);
+
+    const schedule = await prisma.schedule.findUnique({
+      where: { id: scheduleId },
+      include: {
+        course: {
+          select: { id: true, lecturerId: true, departmentId: true }
+        },
+        venue: true
+      }
+    });
+
+    if (!schedule) {
+      return next(new AppError('Schedule not found', 404));
+    }
+
+    if (!canManageAttendance(req.user, schedule.course, [schedule.lecturerId])) {
+      return next(new AppError('Not authorized to take attendance for this class', 403));
+    }
+
+    if (validateVenue && !hasLocation(schedule.venue)) {
+      return next(new AppError('The venue of this class has no location set', 400));
+    }
+
+    const openSessionExists = await prisma.attendanceSession.findFirst({
+      where: {
+        scheduleId,
+        closedAt: null,
+        openedAt: { gt: getOpenCutoff() }
+      }
+    });
+
+    if (openSessionExists) {
+      return next(new AppError('This class already has an open attendance session', 409));
+    }
+
+    const session = await prisma.attendanceSession.create({
+      data: {
+        scheduleId,
+        courseId: schedule.courseId,
+        termId: schedule.termId,
+        sectionId: schedule.sectionId,
+        openedById: req.user.id,
+        codeSecret: generateSecret(),
+        validateVenue: Boolean(validateVenue)
+      },
+      include: sessionInclude
+    });
+
+    await emitAttendanceUpdate(session);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...toSessionResponse(session),
+        checkInCode: getCurrentCode(session)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the attendance sessions of a course
+// @route   GET /courses/:courseId/sessions?termId=&scheduleId=
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const getCourseSessions = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { scheduleId } = req.query;
+
+    await getManageableCourse(req.user, courseId);
+    const termId = await resolveTermId(prisma, req.query.termId);
+
+    const sessions = await prisma.attendanceSession.findMany({
+      where: {
+        courseId,
+        ...(termId && { termId }),
+        ...(scheduleId && { scheduleId })
+      },
+      include: sessionInclude,
+      orderBy: { openedAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(toSessionResponse)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an attendance session with the students who checked in
+// @route   GET /sessions/:id
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const getSession = async (req, res, next) => {
+  try {
+    const session = await getManageableSession(req.user, req.params.id);
+
+    const records = await prisma.attendanceRecord.findMany({
+      where: { sessionId: session.id },
+      include: {
+        student: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            studentId: true
+          }
+        }
+      },
+      orderBy: { checkedInAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toSessionResponse(session),
+        records
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current check-in code of an open session, for display as a QR code.
+//          Codes rotate every 30 seconds.
+// @route   GET /sessions/:id/code
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const getSessionCode = async (req, res, next) => {
+  try {
+    const session = await getManageableSession(req.user, req.params.id);
+
+    if (!isSessionOpen(session)) {
+      return next(new AppError('This attendance session is closed', 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: getCurrentCode(session)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close an attendance session
+// @route   POST /sessions/:id/close
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const closeSession = async (req, res, next) => {
+  try {
+    const session = await getManageableSession(req.user, req.params.id);
+
+    if (session.closedAt !== null) {
+      return next(new AppError('This attendance session is already closed', 400));
+    }
+
+    const closedSession = await prisma.attendanceSession.update({
+      where: { id: session.id },
+      data: { closedAt: new Date() },
+      include: sessionInclude
+    });
+
+    await emitAttendanceUpdate(closedSession);
+
+    res.status(200).json({
+      success: true,
+      data: toSessionResponse(closedSession),
+      message: 'Attendance session closed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a student present by hand, e.g. when they could not scan the code.
+//          Also works on closed sessions.
+// @route   POST /sessions/:id/records
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const markAttendance = async (req, res, next) => {
+  try {
+    const { studentId } = req.body;
+
+    validateRequired(['studentId'], req.body);
+
+    const session = await getManageableSession(req.user, req.params.id);
+
+    const enrollment = await getSessionEnrollment(studentId, session);
+    if (!enrollment) {
+      return next(new AppError('Student is not enrolled in this class', 400));
+    }
+
+    // The unique index on session and student also catches requests sent at the same time
+    let record;
+    try {
+      record = await prisma.attendanceRecord.create({
+        data: {
+          sessionId: session.id,
+          studentId,
+          method: 'MANUAL'
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return next(new AppError('Student has already checked in to this class', 409));
+      }
+      throw error;
+    }
+
+    await emitAttendanceUpdate(session);
+
+    res.status(201).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a student's attendance record
+// @route   DELETE /sessions/:id/records/:studentId
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const removeAttendance = async (req, res, next) => {
+  try {
+    const { studentId } = req.params;
+    const session = await getManageableSession(req.user, req.params.id);
+
+    const record = await prisma.attendanceRecord.findUnique({
+      where: { sessionId_studentId: { sessionId: session.id, studentId } }
+    });
+
+    if (!record) {
+      return next(new AppError('Attendance record not found', 404));
+    }
+
+    await prisma.attendanceRecord.delete({
+      where: { id: record.id }
+    });
+
+    await emitAttendanceUpdate(session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance record removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check in to a class with its current code. Without a sessionId the code is
+//          matched against the open sessions of the student's courses.
+// @route   POST /check-in
+// @access  Private (Student)
+const checkIn = async (req, res, next) => {
+  try {
+    const { code, sessionId, latitude, longitude } = req.body;
+
+    validateRequired(['code'], req.body);
+
+    const candidates = await prisma.attendanceSession.findMany({
+      where: sessionId
+        ? { id: sessionId }
+        : {
+          closedAt: null,
+          openedAt: { gt: getOpenCutoff() },
+          course: {
+            enrollments: {
+              some: { studentId: req.user.id, ...seatedEnrollmentWhere }
+            }
+          }
+        },
+      include: {
+        schedule: {
+          include: { venue: true }
+        }
+      }
+    });
+
+    const session = candidates.find((candidate) => verifyTotp(candidate.codeSecret, code, 1));
+
+    if (!session) {
+      return next(new AppError('Invalid or expired check-in code', 400));
+    }
+
+    if (!isSessionOpen(session)) {
+      return next(new AppError('This attendance session is closed', 400));
+    }
+
+    const enrollment = await getSessionEnrollment(req.user.id, session);
+    if (!enrollment) {
+      return next(new AppError('You are not enrolled in this class', 403));
+    }
+
+    if (session.validateVenue && session.schedule && hasLocation(session.schedule.venue)) {
+      assertAtVenue(session.schedule.venue, { latitude, longitude });
+    }
+
+    // The unique index on session and student also catches a double scan or tap
+    let record;
+    try {
+      record = await prisma.attendanceRecord.create({
+        data: {
+          sessionId: session.id,
+          studentId: req.user.id
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return next(new AppError('You have already checked in to this class', 409));
+      }
+      throw error;
+    }
+
+    await emitAttendanceUpdate(session);
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: 'Checked in successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get attendance percentages of the students of a course
+// @route   GET /courses/:courseId/report?termId=
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const getCourseReport = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await getManageableCourse(req.user, courseId);
+    const termId = await resolveTermId(prisma, req.query.termId);
+
+    const [enrollments, sessions] = await Promise.all([
+      prisma.enrollment.findMany({
+        where: {
+          courseId,
+          ...(termId && { termId }),
+          ...seatedEnrollmentWhere
+        },
+        include: {
+          student: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+              studentId: true
+            }
+          },
+          sections: { select: { sectionId: true } }
+        }
+      }),
+      prisma.attendanceSession.findMany({
+        where: {
+          courseId,
+          ...(termId && { termId })
+        },
+        select: {
+          id: true,
+          courseId: true,
+          termId: true,
+          sectionId: true,
+          records: { select: { studentId: true } }
+        }
+      })
+    ]);
+
+    const students = enrollments
+      .map((enrollment) => ({
+        student: enrollment.student,
+        termId: enrollment.termId,
+        ...summarizeEnrollment(enrollment, sessions, enrollment.studentId)
+      }))
+      .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+    const totals = students.reduce((sum, student) => ({
+      attended: sum.attended + student.attended,
+      expected: sum.expected + student.expected
+    }), { attended: 0, expected: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        course: {
+          id: course.id,
+          code: course.code,
+          name: course.name
+        },
+        termId,
+        sessions: sessions.length,
+        percentage: totals.expected > 0
+          ? Math.round(totals.attended / totals.expected * 1000) / 10
+          : null,
+        students
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's attendance percentage in each of their courses
+// @route   GET /my?termId=
+// @access  Private (Student)
+const getMyAttendance = async (req, res, next) => {
+  try {
+    const termId = await resolveTermId(prisma, req.query.termId);
+
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        studentId: req.user.id,
+        ...(termId && { termId }),
+        ...seatedEnrollmentWhere
+      },
+      include: {
+        course: {
+          select: {
+            id: true,
+            code: true,
+            name: true
+          }
+        },
+        sections: { select: { sectionId: true } }
+      }
+    });
+
+    const sessions = await prisma.attendanceSession.findMany({
+      where: {
+        courseId: { in: enrollments.map((enrollment) => enrollment.courseId) },
+        ...(termId && { termId })
+      },
+      select: {
+        id: true,
+        courseId: true,
+        termId: true,
+        sectionId: true,
+        records: {
+          where: { studentId: req.user.id },
+          select: { studentId: true }
+        }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: enrollments.map((enrollment) => ({
+        course: enrollment.course,
+        termId: enrollment.termId,
+        ...summarizeEnrollment(enrollment, sessions, req.user.id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+app.use(protect);
+
+app.post('/check-in', requirePermission('course:enroll'), checkIn);
+app.get('/my', getMyAttendance);
+app.post('/sessions', requirePermission('attendance:manage'), openSession);
+app.get('/sessions/:id', requirePermission('attendance:manage'), getSession);
+app.get('/sessions/:id/code', requirePermission('attendance:manage'), getSessionCode);
+app.post('/sessions/:id/close', requirePermission('attendance:manage'), closeSession);
+app.post('/sessions/:id/records', requirePermission('attendance:manage'), markAttendance);
+app.delete('/sessions/:id/records/:studentId', requirePermission('attendance:manage'), removeAttendance);
+app.get('/courses/:courseId/sessions', requirePermission('attendance:manage'), getCourseSessions);
+app.get('/courses/:courseId/report', requirePermission('attendance:manage'), getCourseReport);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Route not found'
+  });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  console.error('Attendance Service Error:', err);
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.message || 'Internal server error'
+  });
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log('\n=================================');
+  console.log(' Attendance Service is running');
+  console.log(` Port: ${PORT}`);
+  console.log(` Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log('=================================\n');
+});
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, shutting down gracefully');
+  await prisma.$disconnect();
+  process.exit(0);
+});
+
+module.exports = app;
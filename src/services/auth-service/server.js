@@ -1,22 +1,65 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
 const {
   validateEmail,
+  validateEmailDomain,
   validatePassword,
   validateRequired,
   validateRole
 } = require('../../utils/validator');
+const {
+  hashToken,
+  generateRandomToken,
+  signAccessToken,
+  signImpersonationToken,
+  getRefreshTokenExpiry,
+  verifyAccessToken
+} = require('../../utils/tokens');
+const { generateApiKey } = require('../../utils/apiKeys');
+const { sendMail } = require('../../utils/mailer');
+const { generateSecret, findTotpCounter, buildOtpauthUri } = require('../../utils/totp');
+const { createServiceClient } = require('../../shared/utils');
+const protect = require('../../middleware/auth');
+const requirePermission = require('../../middleware/permission');
+const {
+  API_KEY_SCOPES,
+  buildGrants,
+  can,
+  getPermissionScope,
+  holdsGlobally,
+  holdsGrant
+} = require('../../shared/permissions');
+const denyImpersonation = require('../../middleware/impersonation');
+const protectService = require('../../middleware/serviceAuth');
 
 const app = express();
 const PORT = process.env.AUTH_SERVICE_PORT || 3001;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7');
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS || '2');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Smart University';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'ADMIN').split(',').map(role => role.trim());
+const RECOVERY_CODE_COUNT = 10;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || '30');
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || 'uz.ac.zw')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('auth-service');
 
 // Middleware
 app.use(cors());
@@ -37,38 +80,268 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Client IP, preferring the address forwarded by the API gateway
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.ip;
+};
+
+// Start a new session for the requesting device and issue its first access/refresh token pair
+const issueTokens = async (userId, req) => {
+  const refreshToken = generateRandomToken();
+  const expiresAt = getRefreshTokenExpiry();
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: getClientIp(req) || null,
+      expiresAt,
+      refreshTokens: {
+        create: {
+          tokenHash: hashToken(refreshToken),
+          expiresAt
+        }
+      }
+    }
+  });
+
+  return {
+    token: signAccessToken(userId, session.id),
+    refreshToken
+  };
+};
+
+// Create a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generateRandomToken(32);
+
+  await prisma.emailVerificationToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(verificationToken),
+      expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+    }
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.firstName},\n\nPlease confirm your email address to activate your account:\n\n` +
+        `${FRONTEND_URL}/verify-email?token=${verificationToken}\n\n` +
+        `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+  } catch (err) {
+    console.error('Failed to send verification email', err);
+  }
+};
+
+// Signed one-time invitation token; single use is enforced through Invitation.acceptedAt
+const signInvitationToken = (invitation) => {
+  return jwt.sign({ invitationId: invitation.id, type: 'invite' }, process.env.JWT_SECRET, {
+    expiresIn: `${INVITATION_TTL_DAYS}d`
+  });
+};
+
+// Seconds to wait before the next login attempt, doubling with each consecutive failure
+const getLoginDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < LOGIN_DELAY_AFTER_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failedAttempts - LOGIN_DELAY_AFTER_ATTEMPTS), 60);
+};
+
+// Count a failed login and lock the account once the limit is reached.
+// Returns the lock expiry when the account has just been locked.
+const recordFailedLogin = async (user) => {
+  const updatedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: { increment: 1 },
+      lastFailedLoginAt: new Date()
+    }
+  });
+
+  if (updatedUser.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      lockedUntil,
+      failedLoginAttempts: 0
+    }
+  });
+
+  try {
+    await serviceRequest('notification-service', '/', {
+      method: 'POST',
+      data: {
+        userId: user.id,
+        type: 'SECURITY_ALERT',
+        message: `Your account was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${LOGIN_MAX_ATTEMPTS} failed login attempts. ` +
+          'If this was not you, reset your password.',
+        link: '/forgot-password'
+      }
+    });
+  } catch (err) {
+    console.error('Failed to send account lockout notification', err.message);
+  }
+
+  return lockedUntil;
+};
+
+// Short-lived token proving the password step of login succeeded.
+// type is '2fa_challenge' (OTP still required) or '2fa_setup' (enrollment required).
+const signTwoFactorChallenge = (userId, type) => {
+  return jwt.sign({ userId, type }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  });
+};
+
+const verifyTwoFactorChallenge = (challengeToken, type) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.type === type) {
+      return decoded.userId;
+    }
+  } catch (err) {
+    // Fall through to the error below
+  }
+  throw new AppError('Invalid or expired challenge token, please log in again', 401);
+};
+
+// Generate a new set of recovery codes; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+// Accept a TOTP code once: its time step must be later than the last accepted one,
+// so a code cannot be replayed within its drift window
+const acceptTotp = async (user, code) => {
+  const counter = findTotpCounter(user.twoFactorSecret, code);
+
+  if (counter === null) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastCounter: null },
+        { twoFactorLastCounter: { lt: counter } }
+      ]
+    },
+    data: { twoFactorLastCounter: counter }
+  });
+
+  return count === 1;
+};
+
+// Check a TOTP code or consume a recovery code for a user with 2FA enabled
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return acceptTotp(user, code);
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+
+    // Removed in a single statement so two requests cannot both spend the same code
+    const count = await prisma.$executeRaw`
+      UPDATE users SET "twoFactorRecoveryCodes" = array_remove("twoFactorRecoveryCodes", ${codeHash})
+      WHERE id = ${user.id} AND ${codeHash} = ANY("twoFactorRecoveryCodes")`;
+
+    return count === 1;
+  }
+
+  return false;
+};
+
+const departmentSelect = {
+  select: {
+    id: true,
+    code: true,
+    name: true
+  }
+};
+
+// User fields returned by login
+const toUserResponse = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  departmentId: user.departmentId
+});
+
+// Check that an optional departmentId from a request body refers to a department
+const assertDepartmentExists = async (departmentId) => {
+  if (!departmentId) {
+    return;
+  }
+
+  const department = await prisma.department.findUnique({
+    where: { id: departmentId },
+    select: { id: true }
+  });
+
+  if (!department) {
+    throw new AppError('Department not found', 400);
+  }
+};
+
+// Revoke a session, invalidating its access and refresh tokens
+const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
   });
 };
 
-// @desc    Register a new user
+// @desc    Register a new student account
 // @route   POST /register
 // @access  Public
 const register = async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, role, studentId, staffId, department } = req.body;
+    const { email, password, firstName, lastName, role = 'STUDENT', studentId, departmentId } = req.body;
 
     // Validate required fields
-    validateRequired(['email', 'password', 'firstName', 'lastName', 'role'], req.body);
+    validateRequired(['email', 'password', 'firstName', 'lastName'], req.body);
 
     // Validate email format
     if (!validateEmail(email)) {
       return next(new AppError('Invalid email format', 400));
     }
 
+    // Staff and admin accounts are only created through invitations
+    if (role !== 'STUDENT') {
+      return next(new AppError('Self-registration is only available for student accounts', 403));
+    }
+
+    if (!validateEmailDomain(email, ALLOWED_EMAIL_DOMAINS)) {
+      return next(new AppError(`Registration requires an institutional email address (${ALLOWED_EMAIL_DOMAINS.join(', ')})`, 400));
+    }
+
     // Validate password strength
     if (!validatePassword(password)) {
       return next(new AppError('Password must be at least 8 characters', 400));
     }
 
-    // Validate role
-    if (!validateRole(role)) {
-      return next(new AppError('Invalid role. Must be STUDENT, LECTURER, or ADMIN', 400));
-    }
-
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email }
@@ -78,6 +351,8 @@ const register = async (req, res, next) => {
       return next(new AppError('User with this email already exists', 400));
     }
 
+    await assertDepartmentExists(departmentId);
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
@@ -89,10 +364,10 @@ const register = async (req, res, next) => {
         password: hashedPassword,
         firstName,
         lastName,
-        role,
+        role: 'STUDENT',
         studentId,
-        staffId,
-        department
+        departmentId: departmentId || null,
+        emailVerified: false
       },
       select: {
         id: true,
@@ -100,19 +375,18 @@ const register = async (req, res, next) => {
         firstName: true,
         lastName: true,
         role: true,
-        department: true,
+        department: departmentSelect,
         createdAt: true
       }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    await sendVerificationEmail(user);
 
     res.status(201).json({
       success: true,
+      message: 'Registration successful, check your email to verify your account',
       data: {
-        user,
-        token
+        user
       }
     });
   } catch (error) {
@@ -120,60 +394,164 @@ const register = async (req, res, next) => {
   }
 };
 
+// @desc    Verify email address
+// @route   POST /verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    validateRequired(['token'], req.body);
+
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(req.body.token) }
+    });
+
+    if (!verificationToken || verificationToken.usedAt || verificationToken.expiresAt < new Date()) {
+      return next(new AppError('Invalid or expired verification token', 400));
+    }
+
+    await prisma.$transaction([
+      prisma.emailVerificationToken.update({
+        where: { id: verificationToken.id },
+        data: { usedAt: new Date() }
+      }),
+      prisma.user.update({
+        where: { id: verificationToken.userId },
+        data: { emailVerified: true }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified, you can now log in'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /resend-verification
+// @access  Public
+const resendVerification = async (req, res, next) => {
+  try {
+    validateRequired(['email'], req.body);
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If the account exists and is unverified, a new verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Login user
 // @route   POST /login
 // @access  Public
 const login = async (req, res, next) => {
   try {
-    console.log('[Auth Service] Login request received', req.body);
     const { email, password } = req.body;
 
     // Validate required fields
-    console.log('[Auth Service] Validating fields...');
     validateRequired(['email', 'password'], req.body);
 
     // Check for user
-    console.log('[Auth Service] Checking for user in DB...');
     const user = await prisma.user.findUnique({
       where: { email }
     });
-    console.log('[Auth Service] User found:', user ? 'Yes' : 'No');
 
     if (!user) {
       return next(new AppError('Invalid credentials', 401));
     }
 
+    // Refuse attempts while the account is locked or still inside its back-off window
+    const now = new Date();
+
+    if (user.lockedUntil && user.lockedUntil > now) {
+      const minutesLeft = Math.ceil((user.lockedUntil - now) / 60000);
+      return next(new AppError(`Account is temporarily locked. Try again in ${minutesLeft} minute(s)`, 423));
+    }
+
+    const delaySeconds = getLoginDelaySeconds(user.failedLoginAttempts);
+    if (delaySeconds > 0 && user.lastFailedLoginAt) {
+      const retryAt = user.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+
+      if (retryAt > now.getTime()) {
+        const retryAfter = Math.ceil((retryAt - now.getTime()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return next(new AppError(`Too many failed attempts. Try again in ${retryAfter} second(s)`, 429));
+      }
+    }
+
     // Check if password matches
-    console.log('[Auth Service] Comparing passwords (sync)...');
-    console.log(`[Auth Service] Input password type: ${typeof password}, DB password type: ${typeof user.password}`);
-    
     // Use compareSync to avoid potential async hanging issues
     const isMatch = bcrypt.compareSync(password, user.password);
-    console.log('[Auth Service] Password match result:', isMatch);
 
     if (!isMatch) {
+      const lockedUntil = await recordFailedLogin(user);
+
+      if (lockedUntil) {
+        return next(new AppError(`Too many failed attempts. Account locked for ${LOGIN_LOCKOUT_MINUTES} minutes`, 423));
+      }
       return next(new AppError('Invalid credentials', 401));
     }
 
-    // Generate token
-    console.log('[Auth Service] Generating token...');
-    const token = generateToken(user.id);
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          failedLoginAttempts: 0,
+          lockedUntil: null
+        }
+      });
+    }
+
+    if (user.status !== 'ACTIVE') {
+      return next(new AppError('This account has been deactivated', 403));
+    }
 
-    // Return user without password
-    const userResponse = {
-      id: user.id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      role: user.role,
-      department: user.department
-    };
+    if (!user.emailVerified) {
+      return next(new AppError('Please verify your email address before logging in', 403));
+    }
+
+    // Second step: the client must submit an OTP, or enroll first if its role requires 2FA
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user.id, '2fa_challenge')
+        }
+      });
+    }
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(user.role)) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: signTwoFactorChallenge(user.id, '2fa_setup')
+        }
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user.id, req);
 
     res.status(200).json({
       success: true,
       data: {
-        user: userResponse,
-        token
+        user: toUserResponse(user),
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -181,130 +559,123 @@ const login = async (req, res, next) => {
   }
 };
 
-// @desc    Validate JWT token (for inter-service calls)
-// @route   POST /validate
-// @access  Internal
-const validateToken = async (req, res, next) => {
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /login/2fa
+// @access  Public
+const loginTwoFactor = async (req, res, next) => {
   try {
-    const { token } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
+    validateRequired(['challengeToken'], req.body);
+
+    if (!code && !recoveryCode) {
+      return next(new AppError('Provide either code or recoveryCode', 400));
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const userId = verifyTwoFactorChallenge(challengeToken, '2fa_challenge');
 
-    // Get user from database
     const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        role: true,
-        department: true
-      }
+      where: { id: userId }
     });
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
+    if (!user || !user.twoFactorEnabled) {
+      return next(new AppError('Invalid or expired challenge token, please log in again', 401));
+    }
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return next(new AppError('Account is temporarily locked', 423));
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!isValid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const lockedUntil = await recordFailedLogin(user);
+
+      if (lockedUntil) {
+        return next(new AppError(`Too many failed attempts. Account locked for ${LOGIN_LOCKOUT_MINUTES} minutes`, 423));
+      }
+      return next(new AppError('Invalid authentication code', 401));
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { failedLoginAttempts: 0 }
       });
     }
 
+    const { token, refreshToken } = await issueTokens(user.id, req);
+
     res.status(200).json({
       success: true,
       data: {
-        user
+        user: toUserResponse(user),
+        token,
+        refreshToken
       }
     });
   } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token'
-    });
+    next(error);
   }
 };
 
-// @desc    Get current user profile from token
-// @route   GET /me
-// @access  Private
-const getMe = async (req, res, next) => {
-  try {
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
+// Enrollment endpoints accept either an access token or the setup challenge
+// issued at login to users whose role requires 2FA but who have not enrolled yet
+const protectTwoFactorEnrollment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return protect(req, res, next);
+  }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  try {
+    const userId = verifyTwoFactorChallenge(req.body.challengeToken, '2fa_setup');
 
-    // Get user from database
     const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        role: true,
-        department: true,
-        studentId: true,
-        staffId: true,
-        createdAt: true
-      }
+      where: { id: userId }
     });
 
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
+      return next(new AppError('User not found', 404));
     }
 
-    res.status(200).json({
-      success: true,
-      data: user
-    });
+    req.user = user;
+    req.isSetupChallenge = true;
+    next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
-    }
     next(error);
   }
 };
 
-// @desc    Get current user profile
-// @route   GET /profile
-// @access  Private
-const getProfile = async (req, res, next) => {
+// @desc    Start 2FA enrollment
+// @route   POST /2fa/setup
+// @access  Private (or 2FA setup challenge)
+const setupTwoFactor = async (req, res, next) => {
   try {
-    
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = generateSecret();
+
+    // Stored as pending until confirmed with a valid code
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret }
+    });
+
     res.status(200).json({
       success: true,
       data: {
-        id: '1',
-        email: 'student@example.com',
-        firstName: 'John',
-        lastName: 'Doe',
-        role: 'STUDENT',
-        department: 'Computer Science'
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: TWO_FACTOR_ISSUER
+        })
       }
     });
   } catch (error) {
@@ -312,12 +683,1240 @@ const getProfile = async (req, res, next) => {
   }
 };
 
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /2fa/enable
+// @access  Private (or 2FA setup challenge)
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    validateRequired(['code'], req.body);
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactorSecret) {
+      return next(new AppError('Start two-factor setup first', 400));
+    }
+
+    if (!(await acceptTotp(user, req.body.code))) {
+      return next(new AppError('Invalid authentication code', 400));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorRecoveryCodes: hashes
+      }
+    });
+
+    const data = { recoveryCodes: codes };
+
+    // Enrolling from the login setup challenge completes the login
+    if (req.isSetupChallenge) {
+      const { token, refreshToken } = await issueTokens(user.id, req);
+      Object.assign(data, { user: toUserResponse(user), token, refreshToken });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable 2FA for the current user
+// @route   POST /2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    validateRequired(['password'], req.body);
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(req.user.role)) {
+      return next(new AppError(`Two-factor authentication is mandatory for ${req.user.role} accounts`, 403));
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    const isValid = isMatch && await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!isValid) {
+      return next(new AppError('Invalid password or authentication code', 401));
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    validateRequired(['code'], req.body);
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!(await acceptTotp(user, req.body.code))) {
+      return next(new AppError('Invalid authentication code', 401));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorRecoveryCodes: hashes }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rotate a refresh token and issue a new access token
+// @route   POST /refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    validateRequired(['refreshToken'], req.body);
+
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { session: true }
+    });
+
+    if (!storedToken) {
+      return next(new AppError('Invalid refresh token', 401));
+    }
+
+    const { session } = storedToken;
+    const now = new Date();
+
+    // A refresh token that was already rotated is being replayed - kill the whole family
+    if (storedToken.usedAt) {
+      await revokeSession(session.id);
+      return next(new AppError('Refresh token reuse detected, please log in again', 401));
+    }
+
+    if (session.revokedAt || session.expiresAt < now || storedToken.expiresAt < now) {
+      return next(new AppError('Refresh token has expired or been revoked', 401));
+    }
+
+    // Only the first of two concurrent rotations may succeed
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: storedToken.id, usedAt: null },
+      data: { usedAt: now }
+    });
+
+    if (count === 0) {
+      await revokeSession(session.id);
+      return next(new AppError('Refresh token reuse detected, please log in again', 401));
+    }
+
+    const newRefreshToken = generateRandomToken();
+    const expiresAt = getRefreshTokenExpiry();
+
+    await prisma.$transaction([
+      prisma.refreshToken.create({
+        data: {
+          sessionId: session.id,
+          tokenHash: hashToken(newRefreshToken),
+          expiresAt
+        }
+      }),
+      prisma.session.update({
+        where: { id: session.id },
+        data: {
+          expiresAt,
+          lastSeenAt: now,
+          ipAddress: getClientIp(req) || session.ipAddress
+        }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: signAccessToken(session.userId, session.id),
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of the session a refresh token belongs to
+// @route   POST /logout
+// @access  Public
+const logout = async (req, res, next) => {
+  try {
+    validateRequired(['refreshToken'], req.body);
+
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(req.body.refreshToken) }
+    });
+
+    if (storedToken) {
+      await revokeSession(storedToken.sessionId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of every session of the current user
+// @route   POST /logout-all
+// @access  Private
+const logoutAll = async (req, res, next) => {
+  try {
+    const result = await prisma.session.updateMany({
+      where: { userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: {
+        count: result.count
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    validateRequired(['email'], req.body);
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Respond identically whether or not the account exists to avoid leaking emails
+    if (user && user.status === 'ACTIVE') {
+      const resetToken = generateRandomToken(32);
+
+      await prisma.$transaction([
+        // Only the most recently requested link stays valid
+        prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            userId: user.id,
+            tokenHash: hashToken(resetToken),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+          }
+        })
+      ]);
+
+      const resetLink = `${FRONTEND_URL}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.firstName},\n\nWe received a request to reset your password. ` +
+            `Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:\n\n${resetLink}\n\n` +
+            'If you did not request this, you can safely ignore this email.'
+        });
+      } catch (err) {
+        console.error('Failed to send password reset email', err);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    validateRequired(['token', 'password'], req.body);
+
+    if (!validatePassword(password)) {
+      return next(new AppError('Password must be at least 8 characters', 400));
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return next(new AppError('Invalid or expired reset token', 400));
+    }
+
+    // Claim the token first so it cannot be redeemed twice
+    const { count } = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Invalid or expired reset token', 400));
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: resetToken.userId },
+        data: {
+          password: hashedPassword,
+          failedLoginAttempts: 0,
+          lockedUntil: null
+        }
+      }),
+      // Sign out every device that may still hold the old credentials
+      prisma.session.updateMany({
+        where: { userId: resetToken.userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a user to create an account with a given role
+// @route   POST /invitations
+// @access  Private/Admin
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role, firstName, lastName, staffId, studentId, departmentId } = req.body;
+
+    validateRequired(['email', 'role'], req.body);
+
+    if (!validateEmail(email)) {
+      return next(new AppError('Invalid email format', 400));
+    }
+
+    if (!validateRole(role)) {
+      return next(new AppError('Invalid role. Must be STUDENT, LECTURER, or ADMIN', 400));
+    }
+
+    // Department-scoped inviters may only invite into their department, and never admins
+    if (!can(req.user, 'user:invite', { departmentId })) {
+      return next(new AppError('Not authorized to invite users to this department', 403));
+    }
+
+    if (role === 'ADMIN' && !getPermissionScope(req.user, 'user:invite').global) {
+      return next(new AppError('Not authorized to invite admins', 403));
+    }
+
+    // Re-inviting revokes the pending invitation, which the inviter must be allowed to do
+    const pendingInvitations = await prisma.invitation.findMany({
+      where: { email, acceptedAt: null, revokedAt: null }
+    });
+
+    if (!pendingInvitations.every((invitation) => canManageInvitation(req.user, invitation))) {
+      return next(new AppError('Not authorized to replace the pending invitation for this email', 403));
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return next(new AppError('User with this email already exists', 400));
+    }
+
+    await assertDepartmentExists(departmentId);
+
+    // Re-inviting replaces any invitation that is still pending
+    await prisma.invitation.updateMany({
+      where: { email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    const invitation = await prisma.invitation.create({
+      data: {
+        email,
+        role,
+        firstName: firstName || null,
+        lastName: lastName || null,
+        staffId: staffId || null,
+        studentId: studentId || null,
+        departmentId: departmentId || null,
+        invitedById: req.user.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    try {
+      await sendMail({
+        to: email,
+        subject: 'You have been invited to Smart University',
+        text: `Hi${firstName ? ` ${firstName}` : ''},\n\n${req.user.firstName} ${req.user.lastName} has invited you ` +
+          `to join Smart University as ${role.toLowerCase()}. Use the link below to set your password:\n\n` +
+          `${FRONTEND_URL}/accept-invite?token=${signInvitationToken(invitation)}\n\n` +
+          `This invitation expires in ${INVITATION_TTL_DAYS} days and can only be used once.`
+      });
+    } catch (err) {
+      console.error('Failed to send invitation email', err);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Department-scoped inviters may only manage invitations into their department,
+// and never admin invitations
+const canManageInvitation = (user, invitation) => {
+  if (!can(user, 'user:invite', { departmentId: invitation.departmentId })) {
+    return false;
+  }
+
+  return invitation.role !== 'ADMIN' || getPermissionScope(user, 'user:invite').global;
+};
+
+// @desc    Get pending invitations
+// @route   GET /invitations
+// @access  Private/Admin
+const getInvitations = async (req, res, next) => {
+  try {
+    const { global, departmentIds } = getPermissionScope(req.user, 'user:invite');
+
+    const invitations = await prisma.invitation.findMany({
+      where: {
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+        ...(!global && {
+          departmentId: { in: departmentIds },
+          role: { not: 'ADMIN' }
+        })
+      },
+      include: {
+        invitedBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /invitations/:id
+// @access  Private/Admin
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await prisma.invitation.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt) {
+      return next(new AppError('Pending invitation not found', 404));
+    }
+
+    if (!canManageInvitation(req.user, invitation)) {
+      return next(new AppError('Not authorized to revoke this invitation', 403));
+    }
+
+    const { count } = await prisma.invitation.updateMany({
+      where: { id: req.params.id, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Pending invitation not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation and create the account
+// @route   POST /accept-invite
+// @access  Public
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    validateRequired(['token', 'password'], req.body);
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return next(new AppError('Invalid or expired invitation', 400));
+    }
+
+    if (decoded.type !== 'invite') {
+      return next(new AppError('Invalid or expired invitation', 400));
+    }
+
+    const invitation = await prisma.invitation.findUnique({
+      where: { id: decoded.invitationId }
+    });
+
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt < new Date()) {
+      return next(new AppError('Invalid or expired invitation', 400));
+    }
+
+    const firstName = req.body.firstName || invitation.firstName;
+    const lastName = req.body.lastName || invitation.lastName;
+
+    if (!firstName || !lastName) {
+      return next(new AppError('Missing required fields: firstName, lastName', 400));
+    }
+
+    if (!validatePassword(password)) {
+      return next(new AppError('Password must be at least 8 characters', 400));
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: invitation.email }
+    });
+
+    if (existingUser) {
+      return next(new AppError('User with this email already exists', 400));
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Claim the invitation so the link cannot be used twice, together with creating
+    // the account so a failed create leaves the invitation usable
+    const user = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() }
+      });
+
+      if (count === 0) {
+        throw new AppError('Invalid or expired invitation', 400);
+      }
+
+      return tx.user.create({
+        data: {
+          email: invitation.email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          role: invitation.role,
+          staffId: invitation.staffId,
+          studentId: invitation.studentId,
+          departmentId: invitation.departmentId,
+          emailVerified: true
+        },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          role: true,
+          department: departmentSelect,
+          createdAt: true
+        }
+      });
+    });
+
+    const { token: accessToken, refreshToken } = await issueTokens(user.id, req);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Validate JWT token (for inter-service calls)
+// @route   POST /validate
+// @access  Internal
+const validateToken = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'No token provided'
+      });
+    }
+
+    // Verify token and its session
+    const decoded = await verifyAccessToken(prisma, token);
+
+    // Get user from database
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        department: departmentSelect
+      }
+    });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid token'
+    });
+  }
+};
+
+// @desc    Get current user profile from token
+// @route   GET /me
+// @access  Private
+const getMe = async (req, res, next) => {
+  try {
+    // Extract token from Authorization header
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        error: 'No token provided'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token and its session
+    const decoded = await verifyAccessToken(prisma, token);
+
+    // Get user from database
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        department: departmentSelect,
+        studentId: true,
+        staffId: true,
+        createdAt: true
+      }
+    });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' || error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Get current user profile (kept for older clients, see GET /api/users/me)
+// @route   GET /profile
+// @access  Private
+const getProfile = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        department: departmentSelect,
+        studentId: true,
+        staffId: true,
+        createdAt: true,
+        profile: true
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start impersonating a user ("view as user")
+// @route   POST /impersonate
+// @access  Private/Admin
+const startImpersonation = async (req, res, next) => {
+  try {
+    const { userId, reason, readOnly = true } = req.body;
+
+    validateRequired(['userId'], req.body);
+
+    if (userId === req.user.id) {
+      return next(new AppError('You cannot impersonate yourself', 400));
+    }
+
+    // Sessions that can make changes as the user are reserved to global admins
+    if (readOnly === false && !holdsGlobally(req.user, '*')) {
+      return next(new AppError('Only admins can start an impersonation that is not read-only', 403));
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: {
+        roleAssignments: {
+          select: {
+            departmentId: true,
+            role: {
+              select: { permissions: true }
+            }
+          }
+        },
+        headedDepartments: {
+          select: { id: true }
+        },
+        courseStaff: {
+          select: { courseId: true, role: true }
+        }
+      }
+    });
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (user.role === 'ADMIN') {
+      return next(new AppError('Admin accounts cannot be impersonated', 403));
+    }
+
+    if (user.status !== 'ACTIVE' || user.erasedAt) {
+      return next(new AppError('Deactivated accounts cannot be impersonated', 403));
+    }
+
+    // Impersonating must not give the caller powers they do not already have
+    if (!buildGrants(user).every((grant) => holdsGrant(req.user, grant))) {
+      return next(new AppError('This user has permissions you do not hold and cannot be impersonated', 403));
+    }
+
+    const impersonation = await prisma.impersonation.create({
+      data: {
+        adminId: req.user.id,
+        userId,
+        reason,
+        readOnly: readOnly !== false,
+        expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000)
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token: signImpersonationToken(impersonation, req.sessionId),
+        impersonation,
+        user: toUserResponse(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End an impersonation before it expires
+// @route   POST /impersonations/:id/end
+// @access  Private/Admin
+const endImpersonation = async (req, res, next) => {
+  try {
+    const { count } = await prisma.impersonation.updateMany({
+      where: {
+        id: req.params.id,
+        adminId: req.user.id,
+        endedAt: null
+      },
+      data: { endedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Active impersonation not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get impersonations
+// @route   GET /impersonations
+// @access  Private/Admin
+const getImpersonations = async (req, res, next) => {
+  try {
+    const { adminId, userId, page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (adminId) where.adminId = adminId;
+    if (userId) where.userId = userId;
+
+    const userSelect = {
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true
+      }
+    };
+
+    const [impersonations, total] = await Promise.all([
+      prisma.impersonation.findMany({
+        where,
+        skip,
+        take,
+        include: {
+          admin: userSelect,
+          user: userSelect,
+          _count: {
+            select: { auditLogs: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.impersonation.count({ where })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: impersonations,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an impersonation with its audit trail
+// @route   GET /impersonations/:id
+// @access  Private/Admin
+const getImpersonation = async (req, res, next) => {
+  try {
+    const impersonation = await prisma.impersonation.findUnique({
+      where: { id: req.params.id },
+      include: {
+        admin: {
+          select: { id: true, email: true, firstName: true, lastName: true }
+        },
+        user: {
+          select: { id: true, email: true, firstName: true, lastName: true, role: true }
+        },
+        auditLogs: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!impersonation) {
+      return next(new AppError('Impersonation not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: impersonation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Validate API key scopes, rate limit and expiry from a request body
+const buildApiKeyData = ({ name, scopes, rateLimitPerMinute, expiresAt }) => {
+  const data = {};
+
+  if (name !== undefined) {
+    if (!name) {
+      throw new AppError('Name cannot be empty', 400);
+    }
+    data.name = name;
+  }
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AppError('Scopes must be a non-empty array', 400);
+    }
+
+    const invalid = scopes.filter((scope) => !Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope));
+    if (invalid.length > 0) {
+      throw new AppError(`Unknown scopes: ${invalid.join(', ')}`, 400);
+    }
+
+    data.scopes = [...new Set(scopes)];
+  }
+
+  if (rateLimitPerMinute !== undefined) {
+    const limit = parseInt(rateLimitPerMinute);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new AppError('Rate limit must be a positive number of requests per minute', 400);
+    }
+    data.rateLimitPerMinute = limit;
+  }
+
+  if (expiresAt !== undefined) {
+    if (expiresAt === null) {
+      data.expiresAt = null;
+    } else {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry < new Date()) {
+        throw new AppError('Expiry must be a future date', 400);
+      }
+      data.expiresAt = expiry;
+    }
+  }
+
+  return data;
+};
+
+// API key fields that are safe to return; never includes the hash
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  rateLimitPerMinute: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  }
+};
+
+// @desc    Create an API key
+// @route   POST /api-keys
+// @access  Private/Admin
+const createApiKey = async (req, res, next) => {
+  try {
+    validateRequired(['name', 'scopes'], req.body);
+
+    const data = buildApiKeyData(req.body);
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        ...data,
+        prefix,
+        keyHash,
+        createdById: req.user.id
+      },
+      select: apiKeySelect
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now, it will not be shown again',
+      data: {
+        ...apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get API keys
+// @route   GET /api-keys
+// @access  Private/Admin
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update an API key's name, scopes, rate limit or expiry
+// @route   PUT /api-keys/:id
+// @access  Private/Admin
+const updateApiKey = async (req, res, next) => {
+  try {
+    const existingKey = await prisma.apiKey.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existingKey || existingKey.revokedAt) {
+      return next(new AppError('API key not found', 404));
+    }
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id: req.params.id },
+      data: buildApiKeyData(req.body),
+      select: apiKeySelect
+    });
+
+    res.status(200).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api-keys/:id
+// @access  Private/Admin
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const { count } = await prisma.apiKey.updateMany({
+      where: { id: req.params.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return next(new AppError('API key not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email users created by a bulk import a link to set their password
+// @route   POST /internal/account-setup
+// @access  Internal (service token)
+const sendAccountSetupEmails = async (req, res, next) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return next(new AppError('userIds must be a non-empty array', 400));
+    }
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds } }
+    });
+
+    let sent = 0;
+
+    for (const user of users) {
+      const setupToken = generateRandomToken(32);
+
+      // Account setup reuses password reset tokens, valid as long as an invitation
+      await prisma.$transaction([
+        prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            userId: user.id,
+            tokenHash: hashToken(setupToken),
+            expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+          }
+        })
+      ]);
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Your Smart University account is ready',
+          text: `Hi ${user.firstName},\n\nAn account has been created for you at Smart University as ` +
+            `${user.role.toLowerCase()}. Use the link below to set your password:\n\n` +
+            `${FRONTEND_URL}/reset-password?token=${setupToken}\n\n` +
+            `This link expires in ${INVITATION_TTL_DAYS} days and can only be used once.`
+        });
+        sent++;
+      } catch (err) {
+        console.error(`Failed to send account setup email to ${user.email}`, err);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { sent }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
 app.post('/register', register);
 app.post('/login', login);
+app.post('/login/2fa', loginTwoFactor);
+app.post('/refresh', refresh);
+app.post('/logout', logout);
+app.post('/logout-all', protect, denyImpersonation, logoutAll);
+app.post('/forgot-password', forgotPassword);
+app.post('/reset-password', resetPassword);
+app.post('/verify-email', verifyEmail);
+app.post('/resend-verification', resendVerification);
+app.post('/invitations', protect, requirePermission('user:invite'), createInvitation);
+app.get('/invitations', protect, requirePermission('user:invite'), getInvitations);
+app.delete('/invitations/:id', protect, requirePermission('user:invite'), revokeInvitation);
+app.post('/accept-invite', acceptInvitation);
+app.post('/internal/account-setup', protectService('auth-service', 'user-service'), sendAccountSetupEmails);
+app.post('/2fa/setup', protectTwoFactorEnrollment, denyImpersonation, setupTwoFactor);
+app.post('/2fa/enable', protectTwoFactorEnrollment, denyImpersonation, enableTwoFactor);
+app.post('/2fa/disable', protect, denyImpersonation, disableTwoFactor);
+app.post('/2fa/recovery-codes', protect, denyImpersonation, regenerateRecoveryCodes);
+app.post('/api-keys', protect, denyImpersonation, requirePermission('apikey:manage'), createApiKey);
+app.get('/api-keys', protect, denyImpersonation, requirePermission('apikey:manage'), getApiKeys);
+app.put('/api-keys/:id', protect, denyImpersonation, requirePermission('apikey:manage'), updateApiKey);
+app.delete('/api-keys/:id', protect, denyImpersonation, requirePermission('apikey:manage'), revokeApiKey);
+app.post('/impersonate', protect, denyImpersonation, requirePermission('user:impersonate'), startImpersonation);
+app.get('/impersonations', protect, denyImpersonation, requirePermission('user:impersonate'), getImpersonations);
+app.get('/impersonations/:id', protect, denyImpersonation, requirePermission('user:impersonate'), getImpersonation);
+app.post('/impersonations/:id/end', protect, denyImpersonation, requirePermission('user:impersonate'), endImpersonation);
 app.post('/validate', validateToken);
 app.get('/me', getMe);
-app.get('/profile', getProfile);
+app.get('/profile', protect, getProfile);
 
 // 404 handler
 app.use((req, res) => {
@@ -4,15 +4,19 @@ const cors = require('cors');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
 const { validateRequired } = require('../../utils/validator');
-const { serviceRequest } = require('../../shared/utils');
+const { getStorage } = require('../../utils/storage');
+const { createServiceClient } = require('../../shared/utils');
 const protect = require('../../middleware/auth');
-const authorize = require('../../middleware/role');
+const requirePermission = require('../../middleware/permission');
+const { can, getPermissionScope } = require('../../shared/permissions');
+const { getActiveTerm, resolveTermId } = require('../../shared/terms');
 
 const app = express();
 const PORT = process.env.COURSE_SERVICE_PORT || 3003;
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('course-service');
 
 // Middleware
 app.use(cors());
@@ -33,6 +37,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+const departmentSelect = {
+  select: {
+    id: true,
+    code: true,
+    name: true
+  }
+};
+
 // Define courseInclude at top level scope
 const courseInclude = {
   lecturer: {
@@ -42,9 +54,10 @@ const courseInclude = {
       lastName: true,
       email: true,
       staffId: true,
-      department: true
+      department: departmentSelect
     }
   },
+  department: departmentSelect,
   _count: {
     select: {
       enrollments: true,
@@ -53,12 +66,147 @@ const courseInclude = {
   }
 };
 
+const departmentExists = async (departmentId) => {
+  const department = await prisma.department.findUnique({
+    where: { id: departmentId },
+    select: { id: true }
+  });
+
+  return Boolean(department);
+};
+
+// Enrollment statuses set by this service. Waitlisted enrollments do not take a seat.
+const ENROLLMENT_ACTIVE = 'ACTIVE';
+const ENROLLMENT_WAITLISTED = 'WAITLISTED';
+const ENROLLMENT_COMPLETED = 'COMPLETED';
+// Promotions check each waitlisted student's credit load and timetable while holding
+// the course lock, which can take longer than Prisma's default 5 second transaction
+const PROMOTION_TRANSACTION_TIMEOUT_MS = 30000;
+const seatTakenWhere = {
+  OR: [
+    { status: null },
+    { status: { not: ENROLLMENT_WAITLISTED } }
+  ]
+};
+
+// Lock the course row for the rest of the transaction so that concurrent
+// enrollments and drops count seats one at a time
+const lockCourse = (tx, courseId) => {
+  return tx.$queryRaw`SELECT id FROM courses WHERE id = ${courseId} FOR UPDATE`;
+};
+
+// Whether a waitlisted student can still take a seat. Their credit load and timetable
+// may have changed since they joined the waitlist, so both are checked again.
+const canPromote = async (course, term, enrollment) => {
+  try {
+    await assertCreditLoad(enrollment.studentId, course, term, true, enrollment.id);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return false;
+    }
+    throw error;
+  }
+
+  const clashes = await findTimetableClashes(
+    course.id,
+    enrollment.studentId,
+    term.id,
+    enrollment.sections.map((section) => section.sectionId)
+  );
+
+  return clashes.length === 0;
+};
+
+// Promote waitlisted students, oldest first, into free seats. Students who would now
+// go over their credit load or clash with their timetable stay on the waitlist. Must
+// run inside a transaction that holds the course lock. Returns the promoted enrollments.
+const promoteWaitlisted = async (tx, course, termId) => {
+  if (course.capacity === null) {
+    return [];
+  }
+
+  const seatsTaken = await tx.enrollment.count({
+    where: { courseId: course.id, termId, ...seatTakenWhere }
+  });
+
+  let freeSeats = course.capacity - seatsTaken;
+  if (freeSeats <= 0) {
+    return [];
+  }
+
+  const waitlisted = await tx.enrollment.findMany({
+    where: { courseId: course.id, termId, status: ENROLLMENT_WAITLISTED },
+    include: { sections: { select: { sectionId: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  // Enrollments from before terms existed have no credit load or term timetable
+  const term = termId ? await tx.academicTerm.findUnique({ where: { id: termId } }) : null;
+  const promoted = [];
+
+  for (const enrollment of waitlisted) {
+    if (freeSeats === 0) {
+      break;
+    }
+
+    if (term && !(await canPromote(course, term, enrollment))) {
+      continue;
+    }
+
+    promoted.push(enrollment);
+    freeSeats--;
+  }
+
+  if (promoted.length > 0) {
+    await tx.enrollment.updateMany({
+      where: { id: { in: promoted.map((enrollment) => enrollment.id) } },
+      data: { status: ENROLLMENT_ACTIVE }
+    });
+  }
+
+  return promoted;
+};
+
+const notifyPromotedStudents = async (course, promoted) => {
+  if (promoted.length === 0) {
+    return;
+  }
+
+  try {
+    await serviceRequest('notification-service', '/', {
+      method: 'POST',
+      data: {
+        userIds: promoted.map((enrollment) => enrollment.studentId),
+        type: 'WAITLIST_PROMOTED',
+        message: `A seat opened up in "${course.name}" and you are now enrolled`,
+        link: `/courses/${course.id}`
+      }
+    });
+  } catch (err) {
+    console.error('Failed to send waitlist promotion notification', err);
+  }
+};
+
+// Capacity from the request body: a positive integer, or null/'' for unlimited
+const parseCapacity = (capacity) => {
+  if (capacity === null || capacity === '') {
+    return null;
+  }
+
+  const value = Number(capacity);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new AppError('Capacity must be a positive whole number', 400);
+  }
+
+  return value;
+};
+
 // @desc    Get all courses
 // @route   GET /
 // @access  Public
 const getCourses = async (req, res, next) => {
   try {
-    const { department, lecturerId, search, page = 1, limit = 10 } = req.query;
+    const { departmentId, lecturerId, search, page = 1, limit = 10 } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
@@ -66,8 +214,8 @@ const getCourses = async (req, res, next) => {
     // Build where clause
     const where = {};
     
-    if (department) {
-      where.department = department;
+    if (departmentId) {
+      where.departmentId = departmentId;
     }
     
     if (lecturerId) {
@@ -96,22 +244,26 @@ const getCourses = async (req, res, next) => {
 
     let enrollmentMap = new Map();
     if (req.user && req.user.role === 'STUDENT' && courses.length > 0) {
+      const termId = await resolveTermId(prisma, req.query.termId);
       const enrollments = await prisma.enrollment.findMany({
         where: {
           studentId: req.user.id,
-          courseId: { in: courses.map((course) => course.id) }
+          courseId: { in: courses.map((course) => course.id) },
+          ...(termId && { termId })
         },
         select: {
-          courseId: true
+          courseId: true,
+          status: true
         }
       });
 
-      enrollmentMap = new Map(enrollments.map((enrollment) => [enrollment.courseId, true]));
+      enrollmentMap = new Map(enrollments.map((enrollment) => [enrollment.courseId, enrollment.status]));
     }
 
     const enrichedCourses = courses.map((course) => ({
       ...course,
-      isEnrolled: enrollmentMap.get(course.id) || false
+      isEnrolled: enrollmentMap.has(course.id) && enrollmentMap.get(course.id) !== ENROLLMENT_WAITLISTED,
+      isWaitlisted: enrollmentMap.get(course.id) === ENROLLMENT_WAITLISTED
     }));
 
     res.status(200).json({
@@ -129,12 +281,14 @@ const getCourses = async (req, res, next) => {
   }
 };
 
-// @desc    Get single course
-// @route   GET /:id
+// @desc    Get single course with its requisites, and its sections, schedules and enrollments for a term
+// @route   GET /:id?termId=
 // @access  Public
 const getCourse = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const termId = await resolveTermId(prisma, req.query.termId);
+    const termWhere = termId ? { termId } : undefined;
 
     const course = await prisma.course.findUnique({
       where: { id },
@@ -146,10 +300,12 @@ const getCourse = async (req, res, next) => {
             lastName: true,
             email: true,
             staffId: true,
-            department: true
+            department: departmentSelect
           }
         },
+        department: departmentSelect,
         schedules: {
+          where: termWhere,
           include: {
             venue: {
               select: {
@@ -165,6 +321,7 @@ const getCourse = async (req, res, next) => {
           ]
         },
         enrollments: {
+          where: termWhere,
           include: {
             student: {
               select: {
@@ -174,8 +331,25 @@ const getCourse = async (req, res, next) => {
                 email: true,
                 studentId: true
               }
-            }
-          }
+            },
+            sections: enrollmentSectionsInclude
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        requisites: {
+          include: requisiteInclude
+        },
+        staff: {
+          include: courseStaffInclude,
+          orderBy: { createdAt: 'asc' }
+        },
+        sections: {
+          where: termWhere,
+          include: sectionInclude,
+          orderBy: [
+            { type: 'asc' },
+            { code: 'asc' }
+          ]
         }
       }
     });
@@ -184,24 +358,26 @@ const getCourse = async (req, res, next) => {
       return next(new AppError('Course not found', 404));
     }
 
+    const waitlistCount = course.enrollments
+      .filter((enrollment) => enrollment.status === ENROLLMENT_WAITLISTED).length;
+    const seatsTaken = course.enrollments.length - waitlistCount;
+
     let isEnrolled = false;
+    let isWaitlisted = false;
     if (req.user && req.user.role === 'STUDENT') {
-      const enrollment = await prisma.enrollment.findUnique({
-        where: {
-          courseId_studentId: {
-            courseId: id,
-            studentId: req.user.id
-          }
-        }
-      });
-      isEnrolled = Boolean(enrollment);
+      const enrollment = course.enrollments.find((item) => item.studentId === req.user.id);
+      isWaitlisted = Boolean(enrollment) && enrollment.status === ENROLLMENT_WAITLISTED;
+      isEnrolled = Boolean(enrollment) && !isWaitlisted;
     }
 
     res.status(200).json({
       success: true,
       data: {
         ...course,
-        isEnrolled
+        availableSeats: course.capacity === null ? null : Math.max(0, course.capacity - seatsTaken),
+        waitlistCount,
+        isEnrolled,
+        isWaitlisted
       }
     });
   } catch (error) {
@@ -214,26 +390,35 @@ const getCourse = async (req, res, next) => {
 // @access  Private (Lecturer/Admin)
 const createCourse = async (req, res, next) => {
   try {
-    const { code, name, description, department, credits, lecturerId } = req.body;
+    const { code, name, description, departmentId, credits, lecturerId, capacity } = req.body;
 
     validateRequired(['code', 'name'], req.body);
+    const courseCapacity = capacity === undefined ? null : parseCapacity(capacity);
+
+    if (!can(req.user, 'course:create', { departmentId })) {
+      return next(new AppError('Not authorized to create courses in this department', 403));
+    }
+
+    if (departmentId && !(await departmentExists(departmentId))) {
+      return next(new AppError('Department not found', 400));
+    }
 
     let courseLecturerId = req.user.id;
 
-    if (req.user.role === 'ADMIN') {
-      if (lecturerId) {
-        const lecturer = await prisma.user.findFirst({
-          where: { id: lecturerId, role: { in: ['LECTURER', 'ADMIN'] } }
-        });
+    if (lecturerId && lecturerId !== req.user.id) {
+      if (!can(req.user, 'course:reassign', { departmentId })) {
+        return next(new AppError('Not authorized to assign a lecturer to this course', 403));
+      }
 
-        if (!lecturer) {
-          return next(new AppError('Provided lecturer does not exist', 400));
-        }
+      const lecturer = await prisma.user.findFirst({
+        where: { id: lecturerId, role: { in: ['LECTURER', 'ADMIN'] }, status: 'ACTIVE' }
+      });
 
-        courseLecturerId = lecturerId;
+      if (!lecturer) {
+        return next(new AppError('Provided lecturer does not exist', 400));
       }
-    } else if (req.user.role !== 'LECTURER') {
-      return next(new AppError('Only lecturers or admins can create courses', 403));
+
+      courseLecturerId = lecturerId;
     }
 
     if (credits !== undefined && (Number.isNaN(Number(credits)) || Number(credits) < 0)) {
@@ -254,8 +439,9 @@ const createCourse = async (req, res, next) => {
         code,
         name,
         description: description || null,
-        department: department || null,
+        departmentId: departmentId || null,
         credits: credits ? parseInt(credits) : null,
+        capacity: courseCapacity,
         lecturerId: courseLecturerId
       },
       include: courseInclude
@@ -291,7 +477,7 @@ const createCourse = async (req, res, next) => {
 const updateCourse = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, department, credits, code, lecturerId } = req.body;
+    const { name, description, departmentId, credits, code, lecturerId, capacity } = req.body;
 
     const course = await prisma.course.findUnique({
       where: { id }
@@ -301,20 +487,37 @@ const updateCourse = async (req, res, next) => {
       return next(new AppError('Course not found', 404));
     }
 
-    if (req.user.role !== 'ADMIN' && course.lecturerId !== req.user.id) {
+    if (!can(req.user, 'course:update', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId: id })) {
         return next(new AppError('Not authorized to update this course', 403));
     }
 
+    // Moving a course requires department-wide rights in the target department as
+    // well; owning or coordinating the course is not enough
+    if (departmentId && departmentId !== course.departmentId) {
+      if (!can(req.user, 'course:update', { departmentId })) {
+        return next(new AppError('Not authorized to move this course to that department', 403));
+      }
+
+      if (!(await departmentExists(departmentId))) {
+        return next(new AppError('Department not found', 400));
+      }
+    }
+
     const updateData = {};
     if (name) updateData.name = name;
     if (code) updateData.code = code;
     if (description !== undefined) updateData.description = description;
-    if (department) updateData.department = department;
+    if (departmentId) updateData.departmentId = departmentId;
     if (credits !== undefined) updateData.credits = credits ? parseInt(credits) : null;
+    if (capacity !== undefined) updateData.capacity = parseCapacity(capacity);
+
+    if (lecturerId && lecturerId !== course.lecturerId) {
+        if (!can(req.user, 'course:reassign', { departmentId: course.departmentId })) {
+          return next(new AppError('Not authorized to change the lecturer of this course', 403));
+        }
 
-    if (lecturerId && req.user.role === 'ADMIN') {
         const lecturer = await prisma.user.findFirst({
-          where: { id: lecturerId, role: { in: ['LECTURER', 'ADMIN'] } }
+          where: { id: lecturerId, role: { in: ['LECTURER', 'ADMIN'] }, status: 'ACTIVE' }
         });
   
         if (!lecturer) {
@@ -330,6 +533,17 @@ const updateCourse = async (req, res, next) => {
       include: courseInclude
     });
 
+    // Seats added by a larger capacity go to the waitlist of the active term
+    const term = capacity !== undefined ? await getActiveTerm(prisma) : null;
+    if (term) {
+      const promoted = await prisma.$transaction(async (tx) => {
+        await lockCourse(tx, id);
+        return promoteWaitlisted(tx, updatedCourse, term.id);
+      }, { timeout: PROMOTION_TRANSACTION_TIMEOUT_MS });
+
+      await notifyPromotedStudents(updatedCourse, promoted);
+    }
+
     res.status(200).json({
       success: true,
       data: updatedCourse
@@ -354,10 +568,22 @@ const deleteCourse = async (req, res, next) => {
       return next(new AppError('Course not found', 404));
     }
     
-    if (req.user.role !== 'ADMIN' && course.lecturerId !== req.user.id) {
+    if (!can(req.user, 'course:delete', { ownerId: course.lecturerId, departmentId: course.departmentId })) {
         return next(new AppError('Not authorized to delete this course', 403));
     }
 
+    // Material rows go with the course, so remove their files from storage first.
+    // Removing a file that is already gone succeeds, so a failed delete can be retried.
+    const materials = await prisma.courseMaterial.findMany({
+      where: { courseId: id },
+      select: { storageKey: true }
+    });
+
+    if (materials.length > 0) {
+      const storage = getStorage();
+      await Promise.all(materials.map((material) => storage.remove(material.storageKey)));
+    }
+
     await prisma.course.delete({
       where: { id }
     });
@@ -371,7 +597,11 @@ const deleteCourse = async (req, res, next) => {
   }
 };
 
-// @desc    Enroll in course
+// @desc    Enroll in course for the active term, during its add/drop window and
+//          within the student's credit load. When the course is full the student
+//          is put on the waitlist instead. sectionIds picks the student's lecture
+//          stream, tutorial and lab groups. Timetable clashes with the student's
+//          other courses are refused unless force is true, then returned as warnings.
 // @route   POST /:id/enroll
 // @access  Private (Student)
 const enrollInCourse = async (req, res, next) => {
@@ -395,112 +625,237 @@ const enrollInCourse = async (req, res, next) => {
     if (!course) {
       return next(new AppError('Course not found', 404));
     }
+
+    const term = await getActiveTerm(prisma);
+
+    if (!term) {
+      return next(new AppError('There is no active academic term to enroll in', 400));
+    }
     
     if (req.user.role === 'STUDENT' && studentId !== req.user.id) {
          return next(new AppError('Cannot enroll other students', 403));
     }
 
-    // Check if already enrolled
-    const existingEnrollment = await prisma.enrollment.findUnique({
-      where: {
-        courseId_studentId: {
-          courseId: id,
-          studentId
-        }
+    if (studentId !== req.user.id) {
+      const student = await prisma.user.findFirst({
+        where: { id: studentId, role: 'STUDENT', status: 'ACTIVE' }
+      });
+
+      if (!student) {
+        return next(new AppError('Student not found', 404));
       }
+    }
+
+    await assertAddDropOpen(term, studentId, id);
+
+    const override = await prisma.requisiteOverride.findUnique({
+      where: { courseId_studentId: { courseId: id, studentId } }
     });
 
-    if (existingEnrollment) {
-      return next(new AppError('Already enrolled in this course', 400));
-    }
+    if (!override) {
+      const unmetRequisites = await getUnmetRequisites(id, studentId, term.id);
 
-    // Create enrollment
-    const enrollment = await prisma.enrollment.create({
-      data: {
-        courseId: id,
-        studentId,
-        status: 'ACTIVE'
-      },
-      include: {
-        student: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            email: true
+      if (unmetRequisites.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: describeUnmetRequisites(course, unmetRequisites),
+          data: {
+            unmetRequisites
           }
+        });
+      }
+    }
+
+    await assertCreditLoad(studentId, course, term, true);
+
+    const sections = req.body.sectionIds ? await getSectionChoices(id, term.id, req.body.sectionIds) : [];
+    const clashes = await findTimetableClashes(id, studentId, term.id, sections.map((section) => section.id));
+
+    if (clashes.length > 0 && req.body.force !== true) {
+      return res.status(400).json({
+        success: false,
+        error: `${describeTimetableClashes(clashes)}. Enroll with force set to true to enroll anyway`,
+        data: {
+          clashes
+        }
+      });
+    }
+
+    const { enrollment, waitlistPosition } = await prisma.$transaction(async (tx) => {
+      await lockCourse(tx, id);
+
+      // Check if already enrolled this term
+      const existingEnrollment = await tx.enrollment.findFirst({
+        where: {
+          courseId: id,
+          studentId,
+          termId: term.id
+        }
+      });
+
+      if (existingEnrollment) {
+        throw new AppError(existingEnrollment.status === ENROLLMENT_WAITLISTED
+          ? 'Already on the waitlist for this course'
+          : 'Already enrolled in this course', 400);
+      }
+
+      const seatsTaken = await tx.enrollment.count({
+        where: { courseId: id, termId: term.id, ...seatTakenWhere }
+      });
+      const isFull = course.capacity !== null && seatsTaken >= course.capacity;
+
+      const created = await tx.enrollment.create({
+        data: {
+          courseId: id,
+          studentId,
+          termId: term.id,
+          status: isFull ? ENROLLMENT_WAITLISTED : ENROLLMENT_ACTIVE
         },
-        course: {
-          select: {
-            id: true,
-            name: true,
-            code: true
+        include: {
+          student: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true
+            }
+          },
+          course: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
           }
         }
-      }
+      });
+
+      await joinSections(tx, created, sections);
+
+      const position = isFull
+        ? await tx.enrollment.count({
+          where: { courseId: id, termId: term.id, status: ENROLLMENT_WAITLISTED }
+        })
+        : null;
+
+      return { enrollment: created, waitlistPosition: position };
     });
 
     // Publish event for notification service
     try {
-        await serviceRequest('notification-service', '/', {
-            method: 'POST',
-            data: {
-                userId: course.lecturerId,
-                type: 'NEW_ENROLLMENT',
-                message: `${enrollment.student.firstName} ${enrollment.student.lastName} enrolled in ${course.name}`,
-                link: `/courses/${course.id}`
-            }
-        });
-        
-        await serviceRequest('notification-service', '/', {
-            method: 'POST',
-            data: {
-                userId: studentId,
-                type: 'COURSE_ENROLLED',
-                message: `You have successfully enrolled in "${course.name}"`,
-                link: `/courses/${course.id}`
-            }
-        });
+        if (waitlistPosition) {
+          await serviceRequest('notification-service', '/', {
+              method: 'POST',
+              data: {
+                  userId: studentId,
+                  type: 'COURSE_WAITLISTED',
+                  message: `"${course.name}" is full. You are number ${waitlistPosition} on the waitlist`,
+                  link: `/courses/${course.id}`
+              }
+          });
+        } else {
+          await serviceRequest('notification-service', '/', {
+              method: 'POST',
+              data: {
+                  userId: course.lecturerId,
+                  type: 'NEW_ENROLLMENT',
+                  message: `${enrollment.student.firstName} ${enrollment.student.lastName} enrolled in ${course.name}`,
+                  link: `/courses/${course.id}`
+              }
+          });
+          
+          await serviceRequest('notification-service', '/', {
+              method: 'POST',
+              data: {
+                  userId: studentId,
+                  type: 'COURSE_ENROLLED',
+                  message: `You have successfully enrolled in "${course.name}"`,
+                  link: `/courses/${course.id}`
+              }
+          });
+        }
     } catch (err) {
         console.error('Failed to send enrollment notification', err);
     }
 
     res.status(201).json({
       success: true,
-      data: enrollment
+      data: {
+        ...enrollment,
+        sections: sections.map(({ id: sectionId, code, type }) => ({ id: sectionId, code, type })),
+        waitlistPosition,
+        clashes
+      },
+      message: [
+        waitlistPosition && 'Course is full, you have been added to the waitlist',
+        clashes.length > 0 && `Warning: ${describeTimetableClashes(clashes)}`
+      ].filter(Boolean).join('. ') || undefined
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Drop a course (student)
-// @route   DELETE /:id/enroll
+// @desc    Drop a course (student), for the active term unless termId is given.
+//          Only during the add/drop window and while staying above the minimum
+//          credit load. A freed seat goes to the next student on the waitlist.
+// @route   DELETE /:id/enroll?termId=
 // @access  Private (Students)
 const dropCourse = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const termId = await resolveTermId(prisma, req.query.termId);
+
+    const course = await prisma.course.findUnique({
+      where: { id }
+    });
 
-    if (req.user.role !== 'STUDENT') {
-      return next(new AppError('Only students can drop courses', 403));
+    if (!course) {
+      return next(new AppError('Course not found', 404));
     }
 
-    const enrollment = await prisma.enrollment.findUnique({
+    const enrollment = await prisma.enrollment.findFirst({
       where: {
-        courseId_studentId: {
-          courseId: id,
-          studentId: req.user.id
-        }
-      }
+        courseId: id,
+        studentId: req.user.id,
+        ...(termId && { termId })
+      },
+      include: { term: true },
+      orderBy: { createdAt: 'desc' }
     });
 
     if (!enrollment) {
       return next(new AppError('You are not enrolled in this course', 400));
     }
 
-    await prisma.enrollment.delete({
-      where: { id: enrollment.id }
-    });
+    if (enrollment.status === ENROLLMENT_COMPLETED) {
+      return next(new AppError('A completed course cannot be dropped', 400));
+    }
+
+    // Enrollments from before terms existed have no add/drop window or credit load
+    if (enrollment.term) {
+      await assertAddDropOpen(enrollment.term, req.user.id, id);
+
+      if (enrollment.status !== ENROLLMENT_WAITLISTED) {
+        await assertCreditLoad(req.user.id, course, enrollment.term, false);
+      }
+    }
+
+    const promoted = await prisma.$transaction(async (tx) => {
+      await lockCourse(tx, id);
+
+      await tx.enrollment.delete({
+        where: { id: enrollment.id }
+      });
+
+      if (enrollment.status === ENROLLMENT_WAITLISTED) {
+        return [];
+      }
+
+      return promoteWaitlisted(tx, course, enrollment.termId);
+    }, { timeout: PROMOTION_TRANSACTION_TIMEOUT_MS });
+
+    await notifyPromotedStudents(course, promoted);
 
     res.status(200).json({
       success: true,
@@ -511,8 +866,9 @@ const dropCourse = async (req, res, next) => {
   }
 };
 
-// @desc    Get students enrolled in a course
-// @route   GET /:id/students
+// @desc    Get students enrolled in a course. ?status=WAITLISTED lists the waitlist in order,
+//          ?sectionId= the members of one section.
+// @route   GET /:id/students?termId=&status=&sectionId=
 // @access  Private (Course Lecturer/Admin)
 const getCourseStudents = async (req, res, next) => {
   try {
@@ -526,18 +882,31 @@ const getCourseStudents = async (req, res, next) => {
       return next(new AppError('Course not found', 404));
     }
 
-    if (req.user.role !== 'ADMIN' && course.lecturerId !== req.user.id) {
+    if (!can(req.user, 'course:roster', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId: id })) {
       return next(new AppError('Not authorized to view this course roster', 403));
     }
 
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, status, sectionId } = req.query;
+    const termId = await resolveTermId(prisma, req.query.termId);
+    const isWaitlist = status === ENROLLMENT_WAITLISTED;
+    const where = { courseId: id, ...(termId && { termId }) };
+
+    if (isWaitlist) {
+      where.status = ENROLLMENT_WAITLISTED;
+    } else if (status === ENROLLMENT_ACTIVE) {
+      Object.assign(where, seatTakenWhere);
+    }
+
+    if (sectionId) {
+      where.sections = { some: { sectionId } };
+    }
 
     const skip = (Number(page) - 1) * Number(limit);
     const take = Number(limit);
 
     const [enrollments, total] = await Promise.all([
       prisma.enrollment.findMany({
-        where: { courseId: id },
+        where,
         include: {
           student: {
             select: {
@@ -546,19 +915,18 @@ const getCourseStudents = async (req, res, next) => {
               lastName: true,
               email: true,
               studentId: true,
-              department: true
+              department: departmentSelect
             }
-          }
-        },
-        orderBy: {
-          student: {
-            lastName: 'asc'
-          }
+          },
+          sections: enrollmentSectionsInclude
         },
+        orderBy: isWaitlist
+          ? { createdAt: 'asc' }
+          : { student: { lastName: 'asc' } },
         skip,
         take
       }),
-      prisma.enrollment.count({ where: { courseId: id } })
+      prisma.enrollment.count({ where })
     ]);
 
     res.status(200).json({
@@ -576,35 +944,34 @@ const getCourseStudents = async (req, res, next) => {
   }
 };
 
-// @desc    Get all unique departments
+// @desc    Get departments that offer courses
 // @route   GET /departments
 // @access  Private
 const getDepartments = async (req, res, next) => {
   try {
-    const departments = await prisma.course.findMany({
+    const departments = await prisma.department.findMany({
       where: {
-        department: {
-          not: null,
-        },
+        courses: { some: {} }
       },
       select: {
-        department: true,
+        id: true,
+        code: true,
+        name: true,
+        faculty: true
       },
-      distinct: ['department'],
+      orderBy: { name: 'asc' }
     });
 
-    const departmentList = departments.map(d => d.department).sort();
-
     res.status(200).json({
       success: true,
-      data: departmentList,
+      data: departments,
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get courses relevant to the current user
+// @desc    Get courses relevant to the current user for a term (active term by default)
 // @route   GET /my/all  (Changed from /my to /my/all to avoid conflicts
 // @access  Private
 const getMyCourses = async (req, res, next) => {
@@ -612,15 +979,19 @@ const getMyCourses = async (req, res, next) => {
     const { page = 1, limit = 10 } = req.query;
     const skip = (Number(page) - 1) * Number(limit);
     const take = Number(limit);
+    const termId = await resolveTermId(prisma, req.query.termId);
 
     if (req.user.role === 'STUDENT') {
+      const where = { studentId: req.user.id, ...(termId && { termId }) };
+
       const [enrollments, total] = await Promise.all([
         prisma.enrollment.findMany({
-          where: { studentId: req.user.id },
+          where,
           include: {
             course: {
               include: courseInclude
-            }
+            },
+            sections: enrollmentSectionsInclude
           },
           orderBy: {
             createdAt: 'desc'
@@ -628,7 +999,7 @@ const getMyCourses = async (req, res, next) => {
           skip,
           take
         }),
-        prisma.enrollment.count({ where: { studentId: req.user.id } })
+        prisma.enrollment.count({ where })
       ]);
 
       res.status(200).json({
@@ -636,9 +1007,12 @@ const getMyCourses = async (req, res, next) => {
         data: enrollments.map((enrollment) => ({
           enrollmentId: enrollment.id,
           enrolledAt: enrollment.createdAt,
+          status: enrollment.status,
+          sections: enrollment.sections.map(({ section }) => section),
           course: {
             ...enrollment.course,
-            isEnrolled: true
+            isEnrolled: enrollment.status !== ENROLLMENT_WAITLISTED,
+            isWaitlisted: enrollment.status === ENROLLMENT_WAITLISTED
           }
         })),
         pagination: {
@@ -652,9 +1026,27 @@ const getMyCourses = async (req, res, next) => {
     }
 
     if (req.user.role === 'LECTURER' || req.user.role === 'ADMIN') {
-      const where = {
-        lecturerId: req.user.role === 'ADMIN' ? undefined : req.user.id
-      };
+      const where = { AND: [] };
+
+      // Courses the lecturer teaches or is on the teaching team of
+      if (req.user.role !== 'ADMIN') {
+        where.AND.push({
+          OR: [
+            { lecturerId: req.user.id },
+            { staff: { some: { userId: req.user.id } } }
+          ]
+        });
+      }
+
+      // Courses taught in the term: scheduled or with students enrolled
+      if (termId) {
+        where.AND.push({
+          OR: [
+            { schedules: { some: { termId } } },
+            { enrollments: { some: { termId } } }
+          ]
+        });
+      }
 
       const [courses, total] = await Promise.all([
         prisma.course.findMany({
@@ -689,20 +1081,1892 @@ const getMyCourses = async (req, res, next) => {
   }
 };
 
+const REQUISITE_TYPES = ['PREREQUISITE', 'COREQUISITE'];
+
+const requisiteInclude = {
+  requiredCourse: {
+    select: {
+      id: true,
+      code: true,
+      name: true
+    }
+  }
+};
+
+// Requisites of a course the student has not met. A prerequisite must have been
+// completed; a co-requisite may also be taken in the given term.
+const getUnmetRequisites = async (courseId, studentId, termId) => {
+  const requisites = await prisma.courseRequisite.findMany({
+    where: { courseId },
+    include: requisiteInclude
+  });
+
+  if (requisites.length === 0) {
+    return [];
+  }
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: {
+      studentId,
+      courseId: { in: requisites.map((requisite) => requisite.requiredCourseId) }
+    },
+    select: {
+      courseId: true,
+      termId: true,
+      status: true
+    }
+  });
+
+  return requisites.filter((requisite) => !enrollments.some((enrollment) =>
+    enrollment.courseId === requisite.requiredCourseId && (
+      enrollment.status === ENROLLMENT_COMPLETED ||
+      (requisite.type === 'COREQUISITE' && enrollment.termId === termId &&
+        enrollment.status !== ENROLLMENT_WAITLISTED)
+    )
+  ));
+};
+
+const describeUnmetRequisites = (course, unmetRequisites) => {
+  const reasons = unmetRequisites.map(({ type, requiredCourse }) => {
+    const required = `${requiredCourse.code} ${requiredCourse.name}`;
+
+    return type === 'PREREQUISITE'
+      ? `prerequisite ${required} has not been completed`
+      : `co-requisite ${required} must be completed or taken in the same term`;
+  });
+
+  return `Cannot enroll in ${course.code}: ${reasons.join('; ')}`;
+};
+
+// Whether requiring requiredCourseId for courseId closes a loop of requisites with a
+// prerequisite in it, which would make every course in the loop impossible to take.
+// Loops of co-requisites only are fine: those courses are taken together.
+const createsRequisiteCycle = async (courseId, requiredCourseId, type) => {
+  const requisites = await prisma.courseRequisite.findMany({
+    select: {
+      courseId: true,
+      requiredCourseId: true,
+      type: true
+    }
+  });
+
+  const queue = [{ id: requiredCourseId, hasPrerequisite: type === 'PREREQUISITE' }];
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    const { id, hasPrerequisite } = queue.shift();
+
+    if (id === courseId) {
+      if (hasPrerequisite) return true;
+      continue;
+    }
+
+    const key = `${id}:${hasPrerequisite}`;
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    requisites
+      .filter((requisite) => requisite.courseId === id)
+      .forEach((requisite) => queue.push({
+        id: requisite.requiredCourseId,
+        hasPrerequisite: hasPrerequisite || requisite.type === 'PREREQUISITE'
+      }));
+  }
+
+  return false;
+};
+
+// Load a course and make sure the user may change its requisites
+const getManageableCourse = async (user, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId }
+  });
+
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  if (!can(user, 'course:update', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId })) {
+    throw new AppError('Not authorized to update this course', 403);
+  }
+
+  return course;
+};
+
+// @desc    Get the prerequisites and co-requisites of a course. For students, each
+//          requisite says whether they have met it.
+// @route   GET /:id/requisites
+// @access  Private
+const getRequisites = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const course = await prisma.course.findUnique({
+      where: { id },
+      include: {
+        requisites: {
+          include: requisiteInclude,
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!course) {
+      return next(new AppError('Course not found', 404));
+    }
+
+    let requisites = course.requisites;
+
+    if (req.user.role === 'STUDENT') {
+      const term = await getActiveTerm(prisma);
+      const unmetRequisites = await getUnmetRequisites(id, req.user.id, term ? term.id : null);
+      const unmetIds = new Set(unmetRequisites.map((requisite) => requisite.id));
+
+      requisites = requisites.map((requisite) => ({
+        ...requisite,
+        isMet: !unmetIds.has(requisite.id)
+      }));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: requisites
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a prerequisite or co-requisite to a course
+// @route   POST /:id/requisites
+// @access  Private (Course Lecturer/Admin)
+const addRequisite = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { requiredCourseId, type = 'PREREQUISITE' } = req.body;
+
+    validateRequired(['requiredCourseId'], req.body);
+
+    if (!REQUISITE_TYPES.includes(type)) {
+      return next(new AppError(`Type must be one of: ${REQUISITE_TYPES.join(', ')}`, 400));
+    }
+
+    await getManageableCourse(req.user, id);
+
+    if (requiredCourseId === id) {
+      return next(new AppError('A course cannot require itself', 400));
+    }
+
+    const requiredCourse = await prisma.course.findUnique({
+      where: { id: requiredCourseId },
+      select: { id: true }
+    });
+
+    if (!requiredCourse) {
+      return next(new AppError('Required course not found', 400));
+    }
+
+    const existing = await prisma.courseRequisite.findUnique({
+      where: { courseId_requiredCourseId: { courseId: id, requiredCourseId } }
+    });
+
+    if (existing) {
+      return next(new AppError('This course is already a requisite of the course', 400));
+    }
+
+    if (await createsRequisiteCycle(id, requiredCourseId, type)) {
+      return next(new AppError('The required course already depends on this course', 400));
+    }
+
+    const requisite = await prisma.courseRequisite.create({
+      data: {
+        courseId: id,
+        requiredCourseId,
+        type
+      },
+      include: requisiteInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: requisite
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a requisite from a course
+// @route   DELETE /:id/requisites/:requiredCourseId
+// @access  Private (Course Lecturer/Admin)
+const removeRequisite = async (req, res, next) => {
+  try {
+    const { id, requiredCourseId } = req.params;
+
+    await getManageableCourse(req.user, id);
+
+    const { count } = await prisma.courseRequisite.deleteMany({
+      where: { courseId: id, requiredCourseId }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Requisite not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Requisite removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark an enrollment as completed, or reopen it. Completed courses count
+//          towards the requisites of other courses.
+// @route   PATCH /:id/enrollments/:enrollmentId
+// @access  Private (Course Lecturer/Admin)
+const updateEnrollmentStatus = async (req, res, next) => {
+  try {
+    const { id, enrollmentId } = req.params;
+    const { status } = req.body;
+
+    if (![ENROLLMENT_ACTIVE, ENROLLMENT_COMPLETED].includes(status)) {
+      return next(new AppError(`Status must be ${ENROLLMENT_ACTIVE} or ${ENROLLMENT_COMPLETED}`, 400));
+    }
+
+    await getManageableCourse(req.user, id);
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, courseId: id }
+    });
+
+    if (!enrollment) {
+      return next(new AppError('Enrollment not found', 404));
+    }
+
+    if (enrollment.status === ENROLLMENT_WAITLISTED) {
+      return next(new AppError('Waitlisted students cannot complete a course', 400));
+    }
+
+    const updatedEnrollment = await prisma.enrollment.update({
+      where: { id: enrollmentId },
+      data: { status }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedEnrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a course whose requisite overrides the user may manage. Department-scoped
+// holders of the permission only cover their department's courses.
+const getOverridableCourse = async (user, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { id: true, code: true, name: true, departmentId: true }
+  });
+
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  if (!can(user, 'course:requisite:override', { departmentId: course.departmentId, courseId })) {
+    throw new AppError('Not authorized to manage requisite overrides for this course', 403);
+  }
+
+  return course;
+};
+
+// @desc    Get students allowed to enroll in a course without meeting its requisites
+// @route   GET /:id/requisite-overrides
+// @access  Private/Admin
+const getRequisiteOverrides = async (req, res, next) => {
+  try {
+    await getOverridableCourse(req.user, req.params.id);
+
+    const overrides = await prisma.requisiteOverride.findMany({
+      where: { courseId: req.params.id },
+      include: {
+        student: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            studentId: true
+          }
+        },
+        grantedBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: overrides
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Let a student enroll in a course without meeting its requisites
+// @route   POST /:id/requisite-overrides
+// @access  Private/Admin
+const grantRequisiteOverride = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { studentId, reason } = req.body;
+
+    validateRequired(['studentId'], req.body);
+
+    const course = await getOverridableCourse(req.user, id);
+
+    const student = await prisma.user.findFirst({
+      where: { id: studentId, role: 'STUDENT' }
+    });
+
+    if (!student) {
+      return next(new AppError('Student not found', 404));
+    }
+
+    const override = await prisma.requisiteOverride.upsert({
+      where: { courseId_studentId: { courseId: id, studentId } },
+      create: {
+        courseId: id,
+        studentId,
+        reason: reason || null,
+        grantedById: req.user.id
+      },
+      update: {
+        reason: reason || null,
+        grantedById: req.user.id
+      }
+    });
+
+    try {
+      await serviceRequest('notification-service', '/', {
+        method: 'POST',
+        data: {
+          userId: studentId,
+          type: 'REQUISITE_OVERRIDE',
+          message: `You may now enroll in "${course.name}" without meeting its requirements`,
+          link: `/courses/${course.id}`
+        }
+      });
+    } catch (err) {
+      console.error('Failed to send requisite override notification', err);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: override
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a requisite override. Existing enrollments are kept.
+// @route   DELETE /:id/requisite-overrides/:studentId
+// @access  Private/Admin
+const revokeRequisiteOverride = async (req, res, next) => {
+  try {
+    const { id, studentId } = req.params;
+
+    await getOverridableCourse(req.user, id);
+
+    const { count } = await prisma.requisiteOverride.deleteMany({
+      where: { courseId: id, studentId }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Override not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Override revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const COURSE_STAFF_ROLES = ['COORDINATOR', 'LECTURER', 'TA'];
+
+const courseStaffInclude = {
+  user: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+      role: true,
+      staffId: true,
+      studentId: true
+    }
+  }
+};
+
+// Load a course and make sure the user may manage its teaching team
+const getStaffManagedCourse = async (user, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId }
+  });
+
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  if (!can(user, 'course:staff', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId })) {
+    throw new AppError('Not authorized to manage the teaching team of this course', 403);
+  }
+
+  return course;
+};
+
+// Coordinators and lecturers have to be lecturers, TAs can be any active user (e.g. a
+// postgraduate student)
+const assertStaffRole = async (userId, role) => {
+  if (!COURSE_STAFF_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${COURSE_STAFF_ROLES.join(', ')}`, 400);
+  }
+
+  const user = await prisma.user.findFirst({
+    where: {
+      id: userId,
+      status: 'ACTIVE',
+      ...(role !== 'TA' && { role: { in: ['LECTURER', 'ADMIN'] } })
+    }
+  });
+
+  if (!user) {
+    throw new AppError(role === 'TA' ? 'User not found' : 'Coordinators and lecturers must be lecturers', 400);
+  }
+
+  return user;
+};
+
+// @desc    Get the teaching team of a course
+// @route   GET /:id/staff
+// @access  Private
+const getCourseStaff = async (req, res, next) => {
+  try {
+    const staff = await prisma.courseStaff.findMany({
+      where: { courseId: req.params.id },
+      include: courseStaffInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a co-lecturer, coordinator or TA to a course
+// @route   POST /:id/staff
+// @access  Private (Course Lecturer/Coordinator/Admin)
+const addCourseStaff = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId, role } = req.body;
+
+    validateRequired(['userId', 'role'], req.body);
+
+    const course = await getStaffManagedCourse(req.user, id);
+    await assertStaffRole(userId, role);
+
+    if (userId === course.lecturerId) {
+      return next(new AppError('User is already the lecturer of this course', 400));
+    }
+
+    const existing = await prisma.courseStaff.findUnique({
+      where: { courseId_userId: { courseId: id, userId } }
+    });
+
+    if (existing) {
+      return next(new AppError('User is already on the teaching team of this course', 400));
+    }
+
+    const member = await prisma.courseStaff.create({
+      data: { courseId: id, userId, role },
+      include: courseStaffInclude
+    });
+
+    try {
+      await serviceRequest('notification-service', '/', {
+        method: 'POST',
+        data: {
+          userId,
+          type: 'COURSE_STAFF_ADDED',
+          message: `You have been added to the teaching team of "${course.name}"`,
+          link: `/courses/${course.id}`
+        }
+      });
+    } catch (err) {
+      console.error('Failed to send course staff notification', err);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the role of a teaching team member
+// @route   PUT /:id/staff/:userId
+// @access  Private (Course Lecturer/Coordinator/Admin)
+const updateCourseStaff = async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    validateRequired(['role'], req.body);
+
+    await getStaffManagedCourse(req.user, id);
+
+    const existing = await prisma.courseStaff.findUnique({
+      where: { courseId_userId: { courseId: id, userId } }
+    });
+
+    if (!existing) {
+      return next(new AppError('Staff member not found', 404));
+    }
+
+    await assertStaffRole(userId, role);
+
+    const member = await prisma.courseStaff.update({
+      where: { id: existing.id },
+      data: { role },
+      include: courseStaffInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from the teaching team of a course
+// @route   DELETE /:id/staff/:userId
+// @access  Private (Course Lecturer/Coordinator/Admin)
+const removeCourseStaff = async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    await getStaffManagedCourse(req.user, id);
+
+    const { count } = await prisma.courseStaff.deleteMany({
+      where: { courseId: id, userId }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Staff member not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const SECTION_TYPES = ['LECTURE', 'TUTORIAL', 'LAB'];
+
+const sectionInclude = {
+  staff: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true
+    }
+  },
+  _count: {
+    select: {
+      enrollments: true,
+      schedules: true
+    }
+  }
+};
+
+// Sections of an enrollment, for includes
+const enrollmentSectionsInclude = {
+  select: {
+    section: {
+      select: {
+        id: true,
+        code: true,
+        type: true
+      }
+    }
+  }
+};
+
+// Sections a student picks in a course: they must belong to the course and term, with
+// at most one of each type
+const getSectionChoices = async (courseId, termId, sectionIds) => {
+  if (!Array.isArray(sectionIds)) {
+    throw new AppError('sectionIds must be an array', 400);
+  }
+
+  const sections = await prisma.courseSection.findMany({
+    where: { id: { in: sectionIds }, courseId, termId }
+  });
+
+  if (sections.length !== new Set(sectionIds).size) {
+    throw new AppError('Section not found for this course and term', 400);
+  }
+
+  if (new Set(sections.map((section) => section.type)).size !== sections.length) {
+    throw new AppError('Choose at most one section of each type', 400);
+  }
+
+  return sections;
+};
+
+// Put an enrollment in the given sections, replacing its sections of the same type. Must
+// run inside a transaction; each section row is locked while its seats are counted.
+const joinSections = async (tx, enrollment, sections) => {
+  for (const section of sections) {
+    await tx.$queryRaw`SELECT id FROM course_sections WHERE id = ${section.id} FOR UPDATE`;
+
+    await tx.sectionEnrollment.deleteMany({
+      where: { enrollmentId: enrollment.id, section: { type: section.type } }
+    });
+
+    if (section.capacity !== null) {
+      const seatsTaken = await tx.sectionEnrollment.count({
+        where: { sectionId: section.id }
+      });
+
+      if (seatsTaken >= section.capacity) {
+        throw new AppError(`Section ${section.code} is full`, 400);
+      }
+    }
+
+    await tx.sectionEnrollment.create({
+      data: {
+        enrollmentId: enrollment.id,
+        sectionId: section.id
+      }
+    });
+  }
+};
+
+// Validate section fields from a request body. Returns the data to write.
+const buildSectionData = async (body, courseId) => {
+  const data = {};
+
+  if (body.code !== undefined) {
+    if (!body.code || !String(body.code).trim()) {
+      throw new AppError('Section code is required', 400);
+    }
+    data.code = String(body.code).trim().toUpperCase();
+  }
+
+  if (body.type !== undefined) {
+    if (!SECTION_TYPES.includes(body.type)) {
+      throw new AppError(`Type must be one of: ${SECTION_TYPES.join(', ')}`, 400);
+    }
+    data.type = body.type;
+  }
+
+  if (body.capacity !== undefined) {
+    data.capacity = parseCapacity(body.capacity);
+  }
+
+  if (body.staffId !== undefined) {
+    if (body.staffId) {
+      // Lecturers, or anyone on the course's teaching team such as a TA running a tutorial
+      const staff = await prisma.user.findFirst({
+        where: {
+          id: body.staffId,
+          status: 'ACTIVE',
+          OR: [
+            { role: { in: ['LECTURER', 'ADMIN'] } },
+            { courseStaff: { some: { courseId } } }
+          ]
+        }
+      });
+
+      if (!staff) {
+        throw new AppError('Provided staff member does not exist', 400);
+      }
+    }
+    data.staffId = body.staffId || null;
+  }
+
+  return data;
+};
+
+// Load a section of a course
+const getCourseSection = async (courseId, sectionId) => {
+  const section = await prisma.courseSection.findFirst({
+    where: { id: sectionId, courseId },
+    include: { term: true }
+  });
+
+  if (!section) {
+    throw new AppError('Section not found', 404);
+  }
+
+  return section;
+};
+
+// @desc    Get the lecture streams, tutorial and lab groups of a course in a term
+// @route   GET /:id/sections?termId=
+// @access  Private
+const getSections = async (req, res, next) => {
+  try {
+    const termId = await resolveTermId(prisma, req.query.termId);
+
+    const sections = await prisma.courseSection.findMany({
+      where: {
+        courseId: req.params.id,
+        ...(termId && { termId })
+      },
+      include: sectionInclude,
+      orderBy: [
+        { type: 'asc' },
+        { code: 'asc' }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: sections
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a section of a course (in the active term unless termId is given)
+// @route   POST /:id/sections
+// @access  Private (Course Lecturer/Admin)
+const createSection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    validateRequired(['code', 'type'], req.body);
+
+    await getManageableCourse(req.user, id);
+
+    const term = req.body.termId
+      ? await prisma.academicTerm.findUnique({ where: { id: req.body.termId } })
+      : await getActiveTerm(prisma);
+
+    if (!term) {
+      return next(new AppError(req.body.termId ? 'Academic term not found' : 'There is no active academic term, pass a termId', 400));
+    }
+
+    const data = await buildSectionData(req.body, id);
+
+    const existing = await prisma.courseSection.findUnique({
+      where: { courseId_termId_code: { courseId: id, termId: term.id, code: data.code } }
+    });
+
+    if (existing) {
+      return next(new AppError(`Section ${data.code} already exists in ${term.name}`, 400));
+    }
+
+    const section = await prisma.courseSection.create({
+      data: {
+        ...data,
+        courseId: id,
+        termId: term.id
+      },
+      include: sectionInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: section
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a section
+// @route   PUT /:id/sections/:sectionId
+// @access  Private (Course Lecturer/Admin)
+const updateSection = async (req, res, next) => {
+  try {
+    const { id, sectionId } = req.params;
+
+    const course = await getManageableCourse(req.user, id);
+    const section = await getCourseSection(id, sectionId);
+    const data = await buildSectionData(req.body, id);
+
+    if (data.code && data.code !== section.code) {
+      const existing = await prisma.courseSection.findUnique({
+        where: { courseId_termId_code: { courseId: id, termId: section.termId, code: data.code } }
+      });
+
+      if (existing) {
+        return next(new AppError(`Section ${data.code} already exists in ${section.term.name}`, 400));
+      }
+    }
+
+    const [updatedSection] = await prisma.$transaction([
+      prisma.courseSection.update({
+        where: { id: sectionId },
+        data,
+        include: sectionInclude
+      }),
+      // Classes of the section are taught by its staff member
+      ...(data.staffId !== undefined ? [
+        prisma.schedule.updateMany({
+          where: { sectionId },
+          data: { lecturerId: data.staffId || course.lecturerId }
+        })
+      ] : [])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: updatedSection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a section. Its classes have to be moved or deleted first.
+// @route   DELETE /:id/sections/:sectionId
+// @access  Private (Course Lecturer/Admin)
+const deleteSection = async (req, res, next) => {
+  try {
+    const { id, sectionId } = req.params;
+
+    await getManageableCourse(req.user, id);
+    await getCourseSection(id, sectionId);
+
+    const schedules = await prisma.schedule.count({
+      where: { sectionId }
+    });
+
+    if (schedules > 0) {
+      return next(new AppError('Move or delete the classes of this section before deleting it', 400));
+    }
+
+    await prisma.courseSection.delete({
+      where: { id: sectionId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Section deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Join a section of a course the student is enrolled in, replacing their
+//          section of the same type. Clashes are refused unless force is true.
+// @route   POST /:id/sections/:sectionId/join
+// @access  Private (Student)
+const joinSection = async (req, res, next) => {
+  try {
+    const { id, sectionId } = req.params;
+    const section = await getCourseSection(id, sectionId);
+
+    // Waitlisted students have no seat yet and completed enrollments are over, so
+    // neither may take a place in a section
+    const enrollment = await prisma.enrollment.findFirst({
+      where: {
+        courseId: id,
+        studentId: req.user.id,
+        termId: section.termId,
+        OR: [
+          { status: null },
+          { status: { notIn: [ENROLLMENT_WAITLISTED, ENROLLMENT_COMPLETED] } }
+        ]
+      }
+    });
+
+    if (!enrollment) {
+      return next(new AppError(`You need a seat in the course for ${section.term.name} before joining a section`, 400));
+    }
+
+    await assertAddDropOpen(section.term, req.user.id, id);
+
+    const clashes = await findTimetableClashes(id, req.user.id, section.termId, [section.id]);
+
+    if (clashes.length > 0 && req.body.force !== true) {
+      return res.status(400).json({
+        success: false,
+        error: `${describeTimetableClashes(clashes)}. Join with force set to true to join anyway`,
+        data: {
+          clashes
+        }
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await joinSections(tx, enrollment, [section]);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        section: { id: section.id, code: section.code, type: section.type },
+        clashes
+      },
+      message: clashes.length > 0 ? `Warning: ${describeTimetableClashes(clashes)}` : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave a section
+// @route   DELETE /:id/sections/:sectionId/join
+// @access  Private (Student)
+const leaveSection = async (req, res, next) => {
+  try {
+    const { id, sectionId } = req.params;
+    const section = await getCourseSection(id, sectionId);
+
+    await assertAddDropOpen(section.term, req.user.id, id);
+
+    const { count } = await prisma.sectionEnrollment.deleteMany({
+      where: {
+        sectionId,
+        enrollment: { studentId: req.user.id }
+      }
+    });
+
+    if (count === 0) {
+      return next(new AppError('You are not in this section', 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You have left section ${section.code}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const formatDay = (dayOfWeek) => dayOfWeek.charAt(0) + dayOfWeek.slice(1).toLowerCase();
+
+// "8:30" -> 510. Schedule times are H:MM or HH:MM, so they do not compare as strings
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const clashScheduleSelect = {
+  id: true,
+  dayOfWeek: true,
+  startTime: true,
+  endTime: true,
+  course: {
+    select: {
+      id: true,
+      code: true,
+      name: true
+    }
+  }
+};
+
+// Classes of a course (those for the whole course plus those of the chosen sections)
+// that overlap classes of the student's other courses and sections in the term.
+// Waitlisted courses count, since the student is enrolled in them automatically.
+const findTimetableClashes = async (courseId, studentId, termId, sectionIds = []) => {
+  const [schedules, enrolledSchedules] = await Promise.all([
+    prisma.schedule.findMany({
+      where: {
+        courseId,
+        termId,
+        OR: [
+          { sectionId: null },
+          { sectionId: { in: sectionIds } }
+        ]
+      },
+      select: clashScheduleSelect
+    }),
+    prisma.schedule.findMany({
+      where: {
+        termId,
+        courseId: { not: courseId },
+        course: {
+          enrollments: {
+            some: { studentId, termId }
+          }
+        },
+        OR: [
+          { sectionId: null },
+          { section: { enrollments: { some: { enrollment: { studentId } } } } }
+        ]
+      },
+      select: clashScheduleSelect
+    })
+  ]);
+
+  const clashes = [];
+
+  for (const schedule of schedules) {
+    for (const other of enrolledSchedules) {
+      if (schedule.dayOfWeek === other.dayOfWeek &&
+          toMinutes(schedule.startTime) < toMinutes(other.endTime) &&
+          toMinutes(other.startTime) < toMinutes(schedule.endTime)) {
+        clashes.push({ schedule, clashesWith: other });
+      }
+    }
+  }
+
+  return clashes;
+};
+
+const describeTimetableClashes = (clashes) => {
+  return clashes.map(({ schedule, clashesWith }) =>
+    `${schedule.course.code} on ${formatDay(schedule.dayOfWeek)} ${schedule.startTime}-${schedule.endTime} ` +
+    `clashes with ${clashesWith.course.code} ${clashesWith.startTime}-${clashesWith.endTime}`
+  ).join('; ');
+};
+
+// @desc    Check whether enrolling in a course (and the comma-separated sectionIds)
+//          would clash with the student's timetable for the active term (or termId).
+//          Staff can check for another student.
+// @route   GET /:id/clash-check?studentId=&termId=&sectionIds=
+// @access  Private (Student)
+const checkTimetableClashes = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const studentId = req.user.role === 'STUDENT' ? req.user.id : req.query.studentId;
+
+    if (!studentId) {
+      return next(new AppError('Student ID is required', 400));
+    }
+
+    const course = await prisma.course.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!course) {
+      return next(new AppError('Course not found', 404));
+    }
+
+    let termId = req.query.termId;
+    if (!termId) {
+      const term = await getActiveTerm(prisma);
+
+      if (!term) {
+        return next(new AppError('There is no active academic term', 400));
+      }
+
+      termId = term.id;
+    }
+
+    const sectionIds = req.query.sectionIds ? req.query.sectionIds.split(',') : [];
+    const clashes = await findTimetableClashes(id, studentId, termId, sectionIds);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hasClashes: clashes.length > 0,
+        clashes
+      },
+      message: clashes.length > 0 ? describeTimetableClashes(clashes) : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const TERM_DATE_FIELDS = ['startDate', 'endDate', 'addDropOpensAt', 'addDropDeadline', 'examStartDate', 'examEndDate'];
+const OPTIONAL_TERM_DATE_FIELDS = ['addDropOpensAt', 'examStartDate', 'examEndDate'];
+
+// Validate term fields from a request body. On updates the checks run against the
+// existing term merged with the changes. Returns the data to write.
+const buildTermData = (body, existing = {}) => {
+  const data = {};
+
+  if (body.name) data.name = body.name;
+
+  for (const field of TERM_DATE_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null && OPTIONAL_TERM_DATE_FIELDS.includes(field)) {
+      data[field] = null;
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`${field} must be a valid date`, 400);
+    }
+    data[field] = date;
+  }
+
+  if (body.teachingWeeks !== undefined) {
+    const teachingWeeks = Number(body.teachingWeeks);
+    if (!Number.isInteger(teachingWeeks) || teachingWeeks < 1) {
+      throw new AppError('Teaching weeks must be a positive whole number', 400);
+    }
+    data.teachingWeeks = teachingWeeks;
+  }
+
+  const term = { ...existing, ...data };
+
+  if (term.startDate >= term.endDate) {
+    throw new AppError('Term must start before it ends', 400);
+  }
+
+  if (term.addDropDeadline < term.startDate || term.addDropDeadline > term.endDate) {
+    throw new AppError('Add/drop deadline must fall within the term', 400);
+  }
+
+  if (term.addDropOpensAt && term.addDropOpensAt > term.addDropDeadline) {
+    throw new AppError('Add/drop period must open before its deadline', 400);
+  }
+
+  if (Boolean(term.examStartDate) !== Boolean(term.examEndDate)) {
+    throw new AppError('Exam period needs both a start and an end date', 400);
+  }
+
+  if (term.examStartDate && (term.examStartDate > term.examEndDate || term.examStartDate < term.startDate)) {
+    throw new AppError('Exam period must start after the term starts and before it ends', 400);
+  }
+
+  return data;
+};
+
+// Make the given term the only active one
+const activateTermOperations = (termId) => [
+  prisma.academicTerm.updateMany({
+    where: { isActive: true, id: { not: termId } },
+    data: { isActive: false }
+  }),
+  prisma.academicTerm.update({
+    where: { id: termId },
+    data: { isActive: true }
+  })
+];
+
+// Schedules from before terms existed are attached to the term named like their old
+// semester value, and enrollments in those courses follow them
+const linkLegacyRecords = async (term) => {
+  const { count: schedules } = await prisma.schedule.updateMany({
+    where: {
+      termId: null,
+      legacySemester: { equals: term.name, mode: 'insensitive' }
+    },
+    data: { termId: term.id }
+  });
+
+  if (schedules === 0) {
+    return { schedules, enrollments: 0 };
+  }
+
+  const { count: enrollments } = await prisma.enrollment.updateMany({
+    where: {
+      termId: null,
+      createdAt: { lte: term.endDate },
+      course: { schedules: { some: { termId: term.id } } }
+    },
+    data: { termId: term.id }
+  });
+
+  return { schedules, enrollments };
+};
+
+const termInclude = {
+  _count: {
+    select: {
+      schedules: true,
+      enrollments: true
+    }
+  }
+};
+
+// @desc    Get academic terms
+// @route   GET /terms
+// @access  Private
+const getTerms = async (req, res, next) => {
+  try {
+    const terms = await prisma.academicTerm.findMany({
+      include: termInclude,
+      orderBy: { startDate: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: terms
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the active academic term
+// @route   GET /terms/current
+// @access  Private
+const getCurrentTerm = async (req, res, next) => {
+  try {
+    const term = await getActiveTerm(prisma);
+
+    if (!term) {
+      return next(new AppError('There is no active academic term', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: term
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single academic term
+// @route   GET /terms/:termId
+// @access  Private
+const getTerm = async (req, res, next) => {
+  try {
+    const term = await prisma.academicTerm.findUnique({
+      where: { id: req.params.termId },
+      include: termInclude
+    });
+
+    if (!term) {
+      return next(new AppError('Academic term not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: term
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create an academic term, optionally making it the active term
+// @route   POST /terms
+// @access  Private/Admin
+const createTerm = async (req, res, next) => {
+  try {
+    validateRequired(['name', 'startDate', 'endDate', 'teachingWeeks', 'addDropDeadline'], req.body);
+
+    const data = buildTermData(req.body);
+
+    const existingTerm = await prisma.academicTerm.findUnique({
+      where: { name: data.name }
+    });
+
+    if (existingTerm) {
+      return next(new AppError('A term with this name already exists', 400));
+    }
+
+    let term = await prisma.academicTerm.create({ data });
+
+    if (req.body.isActive) {
+      [, term] = await prisma.$transaction(activateTermOperations(term.id));
+    }
+
+    const linked = await linkLegacyRecords(term);
+
+    res.status(201).json({
+      success: true,
+      data: term,
+      message: linked.schedules > 0
+        ? `Linked ${linked.schedules} existing schedules and ${linked.enrollments} enrollments to this term`
+        : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update an academic term
+// @route   PUT /terms/:termId
+// @access  Private/Admin
+const updateTerm = async (req, res, next) => {
+  try {
+    const { termId } = req.params;
+
+    const term = await prisma.academicTerm.findUnique({
+      where: { id: termId }
+    });
+
+    if (!term) {
+      return next(new AppError('Academic term not found', 404));
+    }
+
+    const data = buildTermData(req.body, term);
+
+    if (data.name && data.name !== term.name) {
+      const existingTerm = await prisma.academicTerm.findUnique({
+        where: { name: data.name }
+      });
+
+      if (existingTerm) {
+        return next(new AppError('A term with this name already exists', 400));
+      }
+    }
+
+    const updatedTerm = await prisma.academicTerm.update({
+      where: { id: termId },
+      data
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedTerm
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Make a term the active term
+// @route   POST /terms/:termId/activate
+// @access  Private/Admin
+const activateTerm = async (req, res, next) => {
+  try {
+    const term = await prisma.academicTerm.findUnique({
+      where: { id: req.params.termId }
+    });
+
+    if (!term) {
+      return next(new AppError('Academic term not found', 404));
+    }
+
+    const [, activeTerm] = await prisma.$transaction(activateTermOperations(term.id));
+
+    res.status(200).json({
+      success: true,
+      data: activeTerm
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an academic term without schedules or enrollments
+// @route   DELETE /terms/:termId
+// @access  Private/Admin
+const deleteTerm = async (req, res, next) => {
+  try {
+    const term = await prisma.academicTerm.findUnique({
+      where: { id: req.params.termId },
+      include: termInclude
+    });
+
+    if (!term) {
+      return next(new AppError('Academic term not found', 404));
+    }
+
+    if (term.isActive) {
+      return next(new AppError('Activate another term before deleting the active term', 400));
+    }
+
+    if (term._count.schedules > 0 || term._count.enrollments > 0) {
+      return next(new AppError('Cannot delete a term that has schedules or enrollments', 400));
+    }
+
+    await prisma.academicTerm.delete({
+      where: { id: term.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Academic term deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const EXCEPTION_TYPES = ['ADD_DROP_WINDOW', 'CREDIT_LOAD'];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Whether the student has an approved exception of this type for the term, either for
+// every course or for the given one
+const hasEnrollmentException = async (studentId, termId, type, courseId) => {
+  const exception = await prisma.enrollmentException.findFirst({
+    where: {
+      studentId,
+      termId,
+      type,
+      OR: [{ courseId: null }, { courseId }]
+    },
+    select: { id: true }
+  });
+
+  return Boolean(exception);
+};
+
+// Throws unless the add/drop window of the term is open or the student has an exception
+const assertAddDropOpen = async (term, studentId, courseId) => {
+  const now = new Date();
+  let message;
+
+  if (term.addDropOpensAt && now < term.addDropOpensAt) {
+    message = `The add/drop period for ${term.name} opens on ${formatDate(term.addDropOpensAt)}`;
+  } else if (now > term.addDropDeadline) {
+    message = `The add/drop period for ${term.name} ended on ${formatDate(term.addDropDeadline)}`;
+  } else {
+    return;
+  }
+
+  if (await hasEnrollmentException(studentId, term.id, 'ADD_DROP_WINDOW', courseId)) {
+    return;
+  }
+
+  throw new AppError(`${message}. Ask an administrator for an exception to add or drop courses outside it`, 400);
+};
+
+// Credit load rule for a student: the most specific match on program and year of study
+const getCreditLoadRule = async (studentId) => {
+  const [profile, rules] = await Promise.all([
+    prisma.userProfile.findUnique({
+      where: { userId: studentId },
+      select: { program: true, yearOfStudy: true }
+    }),
+    prisma.creditLoadRule.findMany()
+  ]);
+
+  const program = profile && profile.program ? profile.program.trim().toLowerCase() : null;
+  const yearOfStudy = profile ? profile.yearOfStudy : null;
+  const specificity = (rule) => (rule.program ? 2 : 0) + (rule.yearOfStudy ? 1 : 0);
+
+  const [rule] = rules
+    .filter((item) => (!item.program || item.program.toLowerCase() === program) &&
+      (!item.yearOfStudy || item.yearOfStudy === yearOfStudy))
+    .sort((a, b) => specificity(b) - specificity(a));
+
+  return rule || null;
+};
+
+const describeCreditLoadRule = (rule) => {
+  const scope = [rule.program, rule.yearOfStudy && `year ${rule.yearOfStudy}`].filter(Boolean).join(' ');
+  return scope ? ` for ${scope}` : '';
+};
+
+// Throws if adding or dropping the course takes the student's credit load for the term
+// outside their credit load rule, unless they have an exception. Waitlisted courses
+// count towards the maximum because they are enrolled automatically. The minimum only
+// stops drops that take a student below it, so students still building up their load
+// during add/drop can drop and swap courses. When promoting from the waitlist, the
+// waitlisted enrollment is left out so that the course is not counted twice.
+const assertCreditLoad = async (studentId, course, term, isAdding, waitlistedEnrollmentId = null) => {
+  if (!course.credits) {
+    return;
+  }
+
+  const rule = await getCreditLoadRule(studentId);
+  const limit = rule ? (isAdding ? rule.maxCredits : rule.minCredits) : null;
+
+  if (limit === null) {
+    return;
+  }
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: {
+      studentId,
+      termId: term.id,
+      ...(!isAdding && seatTakenWhere),
+      ...(waitlistedEnrollmentId && { id: { not: waitlistedEnrollmentId } })
+    },
+    select: {
+      course: { select: { credits: true } }
+    }
+  });
+
+  const currentCredits = enrollments.reduce((total, enrollment) => total + (enrollment.course.credits || 0), 0);
+  const credits = isAdding ? currentCredits + course.credits : currentCredits - course.credits;
+
+  if ((isAdding ? credits <= limit : credits >= limit || currentCredits < limit) ||
+      await hasEnrollmentException(studentId, term.id, 'CREDIT_LOAD', course.id)) {
+    return;
+  }
+
+  throw new AppError(isAdding
+    ? `Enrolling in ${course.code} would bring the credit load for ${term.name} to ${credits}, above the maximum of ${limit}${describeCreditLoadRule(rule)}`
+    : `Dropping ${course.code} would bring the credit load for ${term.name} to ${credits}, below the minimum of ${limit}${describeCreditLoadRule(rule)}`, 400);
+};
+
+// Validate credit load rule fields from a request body, merged with the existing rule
+// on updates. Returns the data to write.
+const buildCreditLoadRuleData = (body, existing = {}) => {
+  const data = {};
+
+  if (body.program !== undefined) {
+    data.program = body.program ? String(body.program).trim() : null;
+  }
+
+  for (const field of ['yearOfStudy', 'minCredits', 'maxCredits']) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < (field === 'yearOfStudy' ? 1 : 0)) {
+      throw new AppError(`${field} must be a ${field === 'yearOfStudy' ? 'positive' : 'non-negative'} whole number`, 400);
+    }
+    data[field] = value;
+  }
+
+  const rule = { minCredits: null, maxCredits: null, ...existing, ...data };
+
+  if (rule.minCredits === null && rule.maxCredits === null) {
+    throw new AppError('Set a minimum or a maximum credit load', 400);
+  }
+
+  if (rule.minCredits !== null && rule.maxCredits !== null && rule.minCredits > rule.maxCredits) {
+    throw new AppError('Minimum credit load cannot be above the maximum', 400);
+  }
+
+  return data;
+};
+
+// Only one rule may target the same program and year of study
+const assertCreditLoadRuleUnique = async (rule, excludeId) => {
+  const existing = await prisma.creditLoadRule.findFirst({
+    where: {
+      program: rule.program ? { equals: rule.program, mode: 'insensitive' } : null,
+      yearOfStudy: rule.yearOfStudy || null,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  if (existing) {
+    throw new AppError('A credit load rule for this program and year of study already exists', 400);
+  }
+};
+
+// @desc    Get credit load rules
+// @route   GET /credit-limits
+// @access  Private
+const getCreditLoadRules = async (req, res, next) => {
+  try {
+    const rules = await prisma.creditLoadRule.findMany({
+      orderBy: [
+        { program: 'asc' },
+        { yearOfStudy: 'asc' }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a credit load rule
+// @route   POST /credit-limits
+// @access  Private/Admin
+const createCreditLoadRule = async (req, res, next) => {
+  try {
+    const data = buildCreditLoadRuleData(req.body);
+    await assertCreditLoadRuleUnique(data);
+
+    const rule = await prisma.creditLoadRule.create({ data });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a credit load rule
+// @route   PUT /credit-limits/:ruleId
+// @access  Private/Admin
+const updateCreditLoadRule = async (req, res, next) => {
+  try {
+    const existing = await prisma.creditLoadRule.findUnique({
+      where: { id: req.params.ruleId }
+    });
+
+    if (!existing) {
+      return next(new AppError('Credit load rule not found', 404));
+    }
+
+    const data = buildCreditLoadRuleData(req.body, existing);
+    await assertCreditLoadRuleUnique({ ...existing, ...data }, existing.id);
+
+    const rule = await prisma.creditLoadRule.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a credit load rule
+// @route   DELETE /credit-limits/:ruleId
+// @access  Private/Admin
+const deleteCreditLoadRule = async (req, res, next) => {
+  try {
+    const { count } = await prisma.creditLoadRule.deleteMany({
+      where: { id: req.params.ruleId }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Credit load rule not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit load rule deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get add/drop and credit load exceptions approved for a term
+// @route   GET /terms/:termId/exceptions?studentId=
+// @access  Private/Admin
+const getEnrollmentExceptions = async (req, res, next) => {
+  try {
+    // Department-scoped holders only see exceptions of their department's students
+    const scope = getPermissionScope(req.user, 'course:enrollment:override');
+
+    const exceptions = await prisma.enrollmentException.findMany({
+      where: {
+        termId: req.params.termId,
+        ...(req.query.studentId && { studentId: req.query.studentId }),
+        ...(!scope.global && { student: { departmentId: { in: scope.departmentIds } } })
+      },
+      include: {
+        student: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            studentId: true
+          }
+        },
+        course: {
+          select: {
+            id: true,
+            code: true,
+            name: true
+          }
+        },
+        approvedBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: exceptions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve an exception to the add/drop window or credit load limits for a
+//          student in a term, for every course or only courseId
+// @route   POST /terms/:termId/exceptions
+// @access  Private/Admin
+const createEnrollmentException = async (req, res, next) => {
+  try {
+    const { termId } = req.params;
+    const { studentId, type, courseId, reason } = req.body;
+
+    validateRequired(['studentId', 'type', 'reason'], req.body);
+
+    if (!EXCEPTION_TYPES.includes(type)) {
+      return next(new AppError(`Type must be one of: ${EXCEPTION_TYPES.join(', ')}`, 400));
+    }
+
+    const [term, student, course] = await Promise.all([
+      prisma.academicTerm.findUnique({ where: { id: termId } }),
+      prisma.user.findFirst({ where: { id: studentId, role: 'STUDENT' } }),
+      courseId ? prisma.course.findUnique({ where: { id: courseId } }) : null
+    ]);
+
+    if (!term) {
+      return next(new AppError('Academic term not found', 404));
+    }
+
+    if (!student) {
+      return next(new AppError('Student not found', 404));
+    }
+
+    if (!can(req.user, 'course:enrollment:override', { departmentId: student.departmentId })) {
+      return next(new AppError('Not authorized to approve exceptions for this student', 403));
+    }
+
+    if (courseId && !course) {
+      return next(new AppError('Course not found', 404));
+    }
+
+    const exception = await prisma.enrollmentException.create({
+      data: {
+        studentId,
+        termId,
+        courseId: courseId || null,
+        type,
+        reason,
+        approvedById: req.user.id
+      }
+    });
+
+    try {
+      await serviceRequest('notification-service', '/', {
+        method: 'POST',
+        data: {
+          userId: studentId,
+          type: 'ENROLLMENT_EXCEPTION',
+          message: type === 'ADD_DROP_WINDOW'
+            ? `You may add or drop ${course ? `"${course.name}"` : 'courses'} outside the add/drop period of ${term.name}`
+            : `You may exceed the credit load limits of ${term.name}${course ? ` for "${course.name}"` : ''}`,
+          link: course ? `/courses/${course.id}` : '/courses'
+        }
+      });
+    } catch (err) {
+      console.error('Failed to send enrollment exception notification', err);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: exception
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw an enrollment exception
+// @route   DELETE /terms/:termId/exceptions/:exceptionId
+// @access  Private/Admin
+const deleteEnrollmentException = async (req, res, next) => {
+  try {
+    const exception = await prisma.enrollmentException.findFirst({
+      where: { id: req.params.exceptionId, termId: req.params.termId },
+      include: {
+        student: { select: { departmentId: true } }
+      }
+    });
+
+    if (!exception) {
+      return next(new AppError('Exception not found', 404));
+    }
+
+    if (!can(req.user, 'course:enrollment:override', { departmentId: exception.student.departmentId })) {
+      return next(new AppError('Not authorized to withdraw exceptions for this student', 403));
+    }
+
+    await prisma.enrollmentException.delete({
+      where: { id: exception.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Exception withdrawn'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
 
 app.use(protect);
 
 app.get('/my', getMyCourses); 
 app.get('/departments', getDepartments);
+app.get('/terms', getTerms);
+app.get('/terms/current', getCurrentTerm);
+app.post('/terms', requirePermission('term:manage'), createTerm);
+app.get('/terms/:termId', getTerm);
+app.put('/terms/:termId', requirePermission('term:manage'), updateTerm);
+app.delete('/terms/:termId', requirePermission('term:manage'), deleteTerm);
+app.post('/terms/:termId/activate', requirePermission('term:manage'), activateTerm);
+app.get('/terms/:termId/exceptions', requirePermission('course:enrollment:override'), getEnrollmentExceptions);
+app.post('/terms/:termId/exceptions', requirePermission('course:enrollment:override'), createEnrollmentException);
+app.delete('/terms/:termId/exceptions/:exceptionId', requirePermission('course:enrollment:override'), deleteEnrollmentException);
+app.get('/credit-limits', getCreditLoadRules);
+app.post('/credit-limits', requirePermission('term:manage'), createCreditLoadRule);
+app.put('/credit-limits/:ruleId', requirePermission('term:manage'), updateCreditLoadRule);
+app.delete('/credit-limits/:ruleId', requirePermission('term:manage'), deleteCreditLoadRule);
 app.get('/', getCourses);
-app.post('/', authorize('ADMIN'), createCourse);
+app.post('/', requirePermission('course:create'), createCourse);
 app.get('/:id', getCourse);
-app.put('/:id', authorize('ADMIN', 'LECTURER'), updateCourse);
-app.delete('/:id', authorize('ADMIN'), deleteCourse);
-app.post('/:id/enroll', authorize('STUDENT'), enrollInCourse);
-app.delete('/:id/enroll', authorize('STUDENT'), dropCourse);
-app.get('/:id/students', authorize('LECTURER', 'ADMIN'), getCourseStudents);
+app.put('/:id', requirePermission('course:update'), updateCourse);
+app.delete('/:id', requirePermission('course:delete'), deleteCourse);
+app.post('/:id/enroll', requirePermission('course:enroll'), enrollInCourse);
+app.delete('/:id/enroll', requirePermission('course:enroll'), dropCourse);
+app.get('/:id/clash-check', requirePermission('course:enroll'), checkTimetableClashes);
+app.get('/:id/sections', getSections);
+app.post('/:id/sections', requirePermission('course:update'), createSection);
+app.put('/:id/sections/:sectionId', requirePermission('course:update'), updateSection);
+app.delete('/:id/sections/:sectionId', requirePermission('course:update'), deleteSection);
+app.post('/:id/sections/:sectionId/join', requirePermission('course:enroll'), joinSection);
+app.delete('/:id/sections/:sectionId/join', requirePermission('course:enroll'), leaveSection);
+app.get('/:id/students', requirePermission('course:roster'), getCourseStudents);
+app.get('/:id/staff', getCourseStaff);
+app.post('/:id/staff', requirePermission('course:staff'), addCourseStaff);
+app.put('/:id/staff/:userId', requirePermission('course:staff'), updateCourseStaff);
+app.delete('/:id/staff/:userId', requirePermission('course:staff'), removeCourseStaff);
+app.patch('/:id/enrollments/:enrollmentId', requirePermission('course:update'), updateEnrollmentStatus);
+app.get('/:id/requisites', getRequisites);
+app.post('/:id/requisites', requirePermission('course:update'), addRequisite);
+app.delete('/:id/requisites/:requiredCourseId', requirePermission('course:update'), removeRequisite);
+app.get('/:id/requisite-overrides', requirePermission('course:requisite:override'), getRequisiteOverrides);
+app.post('/:id/requisite-overrides', requirePermission('course:requisite:override'), grantRequisiteOverride);
+app.delete('/:id/requisite-overrides/:studentId', requirePermission('course:requisite:override'), revokeRequisiteOverride);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,623 @@
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../../utils/errorHandler');
+const { validateRequired } = require('../../utils/validator');
+const { getStorage } = require('../../utils/storage');
+const { createServiceClient } = require('../../shared/utils');
+const protect = require('../../middleware/auth');
+const requirePermission = require('../../middleware/permission');
+const { can } = require('../../shared/permissions');
+const { getActiveTerm } = require('../../shared/terms');
+
+const app = express();
+const PORT = process.env.MATERIAL_SERVICE_PORT || 3009;
+
+// Initialize Prisma Client
+const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('material-service');
+
+const MATERIAL_MAX_SIZE = process.env.MATERIAL_MAX_SIZE || '50mb';
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.MATERIAL_DOWNLOAD_URL_TTL_SECONDS || '300');
+
+// File types that can be uploaded, with the extensions accepted for each
+const ALLOWED_FILE_TYPES = {
+  'application/pdf': ['.pdf'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-powerpoint': ['.ppt'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/zip': ['.zip'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'text/markdown': ['.md'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'audio/mpeg': ['.mp3'],
+  'video/mp4': ['.mp4']
+};
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Simple request logging
+app.use((req, res, next) => {
+  console.log(`[MATERIAL SERVICE] ${new Date().toISOString()} ${req.method} ${req.path}`);
+  next();
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Material Service is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Uploads are sent as the raw request body with the file's Content-Type
+const uploadParser = (req, res, next) => {
+  express.raw({ type: () => true, limit: MATERIAL_MAX_SIZE })(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return next(new AppError(`Files can be at most ${MATERIAL_MAX_SIZE}`, 413));
+    }
+
+    next(error);
+  });
+};
+
+const seatedEnrollmentWhere = {
+  OR: [
+    { status: null },
+    { status: { not: 'WAITLISTED' } }
+  ]
+};
+
+const materialInclude = {
+  folder: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  uploadedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  }
+};
+
+// Load a course and work out what the user may do with its materials. Its lecturer,
+// teaching team and department head manage them; students enrolled in the course in
+// the active term (not waitlisted) can see and download them.
+const getCourseAccess = async (user, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { id: true, code: true, name: true, lecturerId: true, departmentId: true }
+  });
+
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  if (can(user, 'course:material', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId })) {
+    return { course, canManage: true };
+  }
+
+  const activeTerm = await getActiveTerm(prisma);
+  const enrollment = await prisma.enrollment.findFirst({
+    where: {
+      courseId,
+      studentId: user.id,
+      ...(activeTerm && { termId: activeTerm.id }),
+      ...seatedEnrollmentWhere
+    }
+  });
+
+  if (!enrollment) {
+    throw new AppError('Only students enrolled in this course this term can see its materials', 403);
+  }
+
+  return { course, canManage: false };
+};
+
+const assertCanManage = ({ canManage }) => {
+  if (!canManage) {
+    throw new AppError('Not authorized to manage the materials of this course', 403);
+  }
+};
+
+// Load a material together with the user's access to its course
+const getMaterialWithAccess = async (user, id) => {
+  const material = await prisma.courseMaterial.findUnique({
+    where: { id },
+    include: materialInclude
+  });
+
+  if (!material) {
+    throw new AppError('Material not found', 404);
+  }
+
+  const access = await getCourseAccess(user, material.courseId);
+  return { material, access };
+};
+
+// A folder of the given course, or null when no folder is given
+const getCourseFolder = async (courseId, folderId) => {
+  if (!folderId) {
+    return null;
+  }
+
+  const folder = await prisma.materialFolder.findFirst({
+    where: { id: folderId, courseId }
+  });
+
+  if (!folder) {
+    throw new AppError('Folder not found', 400);
+  }
+
+  return folder;
+};
+
+// Check the type and extension of an upload. Returns the normalized content type.
+const validateUpload = (contentTypeHeader, fileName) => {
+  const contentType = (contentTypeHeader || '').split(';')[0].trim().toLowerCase();
+  const extensions = ALLOWED_FILE_TYPES[contentType];
+
+  if (!extensions) {
+    throw new AppError(`File type ${contentType || 'unknown'} is not allowed. Allowed types: ${Object.values(ALLOWED_FILE_TYPES).flat().join(', ')}`, 400);
+  }
+
+  if (!extensions.includes(path.extname(fileName).toLowerCase())) {
+    throw new AppError(`File name must end in ${extensions.join(' or ')} for ${contentType}`, 400);
+  }
+
+  return contentType;
+};
+
+// Tell the students of the course in the active term about new material
+const notifyNewMaterial = async (course, material, uploaderId) => {
+  const activeTerm = await getActiveTerm(prisma);
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: {
+      courseId: course.id,
+      ...(activeTerm && { termId: activeTerm.id }),
+      ...seatedEnrollmentWhere
+    },
+    select: { studentId: true }
+  });
+
+  const userIds = [...new Set(enrollments.map((enrollment) => enrollment.studentId))]
+    .filter((studentId) => studentId !== uploaderId);
+
+  if (userIds.length === 0) {
+    return;
+  }
+
+  await serviceRequest('notification-service', '/', {
+    method: 'POST',
+    data: {
+      userIds,
+      type: 'NEW_MATERIAL',
+      message: `New material in ${course.code}: ${material.title}`,
+      link: `/courses/${course.id}/materials`
+    }
+  });
+};
+
+// @desc    Get the folders and materials of a course
+// @route   GET /courses/:courseId?folderId=
+// @access  Private (Course teaching team, or enrolled students)
+const getCourseMaterials = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { folderId } = req.query;
+
+    const { canManage } = await getCourseAccess(req.user, courseId);
+
+    const where = { courseId };
+    if (folderId) {
+      where.folderId = folderId === 'none' ? null : folderId;
+    }
+
+    const [folders, materials] = await Promise.all([
+      prisma.materialFolder.findMany({
+        where: { courseId },
+        include: {
+          _count: {
+            select: { materials: true }
+          }
+        },
+        orderBy: [
+          { position: 'asc' },
+          { name: 'asc' }
+        ]
+      }),
+      prisma.courseMaterial.findMany({
+        where,
+        include: materialInclude,
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        folders,
+        materials,
+        canManage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload a material. The file is the raw request body with its Content-Type;
+//          details are passed in the query string.
+// @route   POST /courses/:courseId?fileName=&title=&folderId=&description=
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const uploadMaterial = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { fileName, title, folderId, description } = req.query;
+
+    validateRequired(['fileName'], req.query);
+
+    const access = await getCourseAccess(req.user, courseId);
+    assertCanManage(access);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return next(new AppError('Send the file as the request body with its Content-Type', 400));
+    }
+
+    const safeFileName = path.basename(String(fileName)).trim();
+    if (!safeFileName) {
+      return next(new AppError('fileName is required', 400));
+    }
+
+    const contentType = validateUpload(req.headers['content-type'], safeFileName);
+    const folder = await getCourseFolder(courseId, folderId);
+
+    const storage = getStorage();
+    const storageKey = `courses/${courseId}/${randomUUID()}${path.extname(safeFileName).toLowerCase()}`;
+
+    await storage.put(storageKey, req.body, contentType);
+
+    let material;
+    try {
+      material = await prisma.courseMaterial.create({
+        data: {
+          courseId,
+          folderId: folder ? folder.id : null,
+          title: title ? String(title).trim() : safeFileName,
+          description: description || null,
+          fileName: safeFileName,
+          contentType,
+          size: req.body.length,
+          storageKey,
+          uploadedById: req.user.id
+        },
+        include: materialInclude
+      });
+    } catch (error) {
+      // Do not leave an orphaned file behind
+      await storage.remove(storageKey).catch((err) => {
+        console.error(`Failed to remove ${storageKey} after a failed upload:`, err.message);
+      });
+      throw error;
+    }
+
+    try {
+      await notifyNewMaterial(access.course, material, req.user.id);
+    } catch (err) {
+      console.error('Failed to send new material notification', err);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: material
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a material
+// @route   GET /:id
+// @access  Private (Course teaching team, or enrolled students)
+const getMaterial = async (req, res, next) => {
+  try {
+    const { material } = await getMaterialWithAccess(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: material
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a download URL for a material. The URL expires after a few minutes.
+// @route   GET /:id/download
+// @access  Private (Course teaching team, or enrolled students)
+const getMaterialDownload = async (req, res, next) => {
+  try {
+    const { material } = await getMaterialWithAccess(req.user, req.params.id);
+
+    const url = await getStorage().getDownloadUrl(material.storageKey, {
+      fileName: material.fileName,
+      contentType: material.contentType,
+      expiresIn: DOWNLOAD_URL_TTL_SECONDS
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url,
+        expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a file through a signed link from the local storage driver
+// @route   GET /files?key=&name=&type=&expires=&signature=
+// @access  Public (signed link)
+const downloadLocalFile = async (req, res, next) => {
+  try {
+    const storage = getStorage();
+
+    if (!storage.openSignedDownload) {
+      return next(new AppError('Route not found', 404));
+    }
+
+    const file = await storage.openSignedDownload(req.query);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.size,
+      'Content-Disposition': file.contentDisposition,
+      'Cache-Control': 'private, no-store'
+    });
+
+    file.stream.on('error', next);
+    file.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update the title, description or folder of a material
+// @route   PUT /:id
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const updateMaterial = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { title, description, folderId } = req.body;
+
+    const { material, access } = await getMaterialWithAccess(req.user, id);
+    assertCanManage(access);
+
+    const updateData = {};
+    if (title) updateData.title = title;
+    if (description !== undefined) updateData.description = description || null;
+    if (folderId !== undefined) {
+      const folder = await getCourseFolder(material.courseId, folderId);
+      updateData.folderId = folder ? folder.id : null;
+    }
+
+    const updatedMaterial = await prisma.courseMaterial.update({
+      where: { id },
+      data: updateData,
+      include: materialInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedMaterial
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a material and its file
+// @route   DELETE /:id
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const deleteMaterial = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { material, access } = await getMaterialWithAccess(req.user, id);
+    assertCanManage(access);
+
+    await prisma.courseMaterial.delete({
+      where: { id }
+    });
+
+    await getStorage().remove(material.storageKey).catch((err) => {
+      console.error(`Failed to remove ${material.storageKey} from storage:`, err.message);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Material deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a folder, e.g. for a week or topic
+// @route   POST /courses/:courseId/folders
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const createFolder = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { name, position } = req.body;
+
+    validateRequired(['name'], req.body);
+
+    assertCanManage(await getCourseAccess(req.user, courseId));
+
+    const existing = await prisma.materialFolder.findUnique({
+      where: { courseId_name: { courseId, name: name.trim() } }
+    });
+
+    if (existing) {
+      return next(new AppError(`Folder ${name.trim()} already exists`, 400));
+    }
+
+    const folder = await prisma.materialFolder.create({
+      data: {
+        courseId,
+        name: name.trim(),
+        position: position !== undefined ? parseInt(position) || 0 : 0
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a folder together with the user's access to its course
+const getManageableFolder = async (user, folderId) => {
+  const folder = await prisma.materialFolder.findUnique({
+    where: { id: folderId }
+  });
+
+  if (!folder) {
+    throw new AppError('Folder not found', 404);
+  }
+
+  assertCanManage(await getCourseAccess(user, folder.courseId));
+  return folder;
+};
+
+// @desc    Rename or reorder a folder
+// @route   PUT /folders/:folderId
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const updateFolder = async (req, res, next) => {
+  try {
+    const { folderId } = req.params;
+    const { name, position } = req.body;
+
+    const folder = await getManageableFolder(req.user, folderId);
+
+    const updateData = {};
+    if (name && name.trim() !== folder.name) {
+      const existing = await prisma.materialFolder.findUnique({
+        where: { courseId_name: { courseId: folder.courseId, name: name.trim() } }
+      });
+
+      if (existing) {
+        return next(new AppError(`Folder ${name.trim()} already exists`, 400));
+      }
+      updateData.name = name.trim();
+    }
+    if (position !== undefined) updateData.position = parseInt(position) || 0;
+
+    const updatedFolder = await prisma.materialFolder.update({
+      where: { id: folderId },
+      data: updateData
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedFolder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a folder. Its materials are kept without a folder.
+// @route   DELETE /folders/:folderId
+// @access  Private (Course Lecturer/Teaching team/Admin)
+const deleteFolder = async (req, res, next) => {
+  try {
+    const { folderId } = req.params;
+
+    await getManageableFolder(req.user, folderId);
+
+    await prisma.materialFolder.delete({
+      where: { id: folderId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+app.get('/files', downloadLocalFile);
+
+app.use(protect);
+
+app.get('/courses/:courseId', getCourseMaterials);
+app.post('/courses/:courseId', requirePermission('course:material'), uploadParser, uploadMaterial);
+app.post('/courses/:courseId/folders', requirePermission('course:material'), createFolder);
+app.put('/folders/:folderId', requirePermission('course:material'), updateFolder);
+app.delete('/folders/:folderId', requirePermission('course:material'), deleteFolder);
+app.get('/:id', getMaterial);
+app.get('/:id/download', getMaterialDownload);
+app.put('/:id', requirePermission('course:material'), updateMaterial);
+app.delete('/:id', requirePermission('course:material'), deleteMaterial);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Route not found'
+  });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  console.error('Material Service Error:', err);
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.message || 'Internal server error'
+  });
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log('\n=================================');
+  console.log(' Material Service is running');
+  console.log(` Port: ${PORT}`);
+  console.log(` Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log('=================================\n');
+});
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, shutting down gracefully');
+  await prisma.$disconnect();
+  process.exit(0);
+});
+
+module.exports = app;
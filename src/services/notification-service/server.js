@@ -7,7 +7,9 @@ const { Server } = require('socket.io');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
 const { eventBus } = require('../../shared/utils');
+const { verifyAccessToken } = require('../../utils/tokens');
 const protect = require('../../middleware/auth');
+const protectService = require('../../middleware/serviceAuth');
 const socketEmitter = require('../../shared/socketEmitter');
 
 const app = express();
@@ -58,9 +60,9 @@ io.use(async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
     
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    // Verify token and make sure its session is still active
+    const decoded = await verifyAccessToken(prisma, token);
+
     // Verify user exists in database
     const user = await prisma.user.findUnique({
       where: { id: decoded.id }
@@ -69,6 +71,10 @@ io.use(async (socket, next) => {
     if (!user) {
       return next(new Error('Authentication error: User not found'));
     }
+
+    if (user.status !== 'ACTIVE') {
+      return next(new Error('Authentication error: Account is deactivated'));
+    }
     
     socket.userId = user.id;
     socket.userRole = user.role;
@@ -105,6 +111,40 @@ io.on('connection', (socket) => {
   });
 });
 
+// Push a message to every active session of the users that registered a device token
+const sendPushNotifications = async (userIds, message) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId: { in: userIds },
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+      pushToken: { not: null }
+    },
+    select: { pushToken: true }
+  });
+
+  const messages = sessions
+    .filter((session) => Expo.isExpoPushToken(session.pushToken))
+    .map((session) => ({
+      to: session.pushToken,
+      sound: 'default',
+      body: message,
+      data: { withSome: 'data' }, // You can add extra data here
+    }));
+
+  if (messages.length === 0) {
+    return;
+  }
+
+  for (const chunk of expo.chunkPushNotifications(messages)) {
+    try {
+      await expo.sendPushNotificationsAsync(chunk);
+    } catch (error) {
+      console.error('Error sending push notification:', error);
+    }
+  }
+};
+
 // @desc    Get user notifications
 // @route   GET /
 // @access  Private
@@ -141,51 +181,82 @@ const getNotifications = async (req, res, next) => {
   }
 };
 
-// @desc    Create notification
+// Map announcement audiences to user roles
+const AUDIENCE_ROLES = {
+  ALL: undefined,
+  STUDENTS: 'STUDENT',
+  LECTURERS: 'LECTURER'
+};
+
+// @desc    Create notifications for one user, a list of users or an audience
 // @route   POST /
-// @access  Private
+// @access  Internal (service token)
 const createNotification = async (req, res, next) => {
   try {
-    const { userId, type, message, link } = req.body;
-    
-    const user = await prisma.user.findUnique({ where: { id: userId } });
-    if (!user) {
-        return res.status(404).json({ success: false, message: 'User not found' });
+    const { userId, userIds, targetAudience, excludeUserId, type, message, link } = req.body;
+
+    if (!type || !message) {
+      return next(new AppError('Type and message are required', 400));
     }
 
-    const notification = await prisma.notification.create({
-      data: {
-        userId,
-        type,
-        message,
-        link: link || null
+    const isSingleUser = Boolean(userId) && !targetAudience && !Array.isArray(userIds);
+    let where;
+
+    if (targetAudience) {
+      if (!Object.prototype.hasOwnProperty.call(AUDIENCE_ROLES, targetAudience)) {
+        return next(new AppError('Invalid target audience', 400));
       }
+
+      where = { role: AUDIENCE_ROLES[targetAudience] };
+    } else if (Array.isArray(userIds)) {
+      where = { id: { in: userIds } };
+    } else if (userId) {
+      where = { id: userId };
+    } else {
+      return next(new AppError('userId, userIds or targetAudience is required', 400));
+    }
+
+    if (excludeUserId) {
+      where = { AND: [where, { id: { not: excludeUserId } }] };
+    }
+
+    // Deactivated accounts no longer receive notifications
+    const recipients = await prisma.user.findMany({
+      where: { AND: [where, { status: 'ACTIVE' }] },
+      select: { id: true }
     });
-    
-    // Send real-time notification via Socket.IO
-    io.to(`user:${userId}`).emit('notification', notification);
-    
-    // Emit notification creation event
-    socketEmitter.emit('notification.created', { ...notification, userId });
-
-    // Send push notification if token exists
-    if (user.pushToken && Expo.isExpoPushToken(user.pushToken)) {
-        const messages = [{
-            to: user.pushToken,
-            sound: 'default',
-            body: message,
-            data: { withSome: 'data' }, // You can add extra data here
-        }];
-        try {
-            await expo.sendPushNotificationsAsync(messages);
-        } catch (error) {
-            console.error('Error sending push notification:', error);
+
+    if (isSingleUser && recipients.length === 0) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const notifications = await prisma.$transaction(
+      recipients.map((recipient) => prisma.notification.create({
+        data: {
+          userId: recipient.id,
+          type,
+          message,
+          link: link || null
         }
+      }))
+    );
+
+    for (const notification of notifications) {
+      // Send real-time notification via Socket.IO
+      io.to(`user:${notification.userId}`).emit('notification', notification);
+
+      // Emit notification creation event
+      socketEmitter.emit('notification.created', notification);
     }
-    
+
+    // Send push notification to every active device of the recipients
+    if (notifications.length > 0) {
+      await sendPushNotifications(notifications.map((notification) => notification.userId), message);
+    }
+
     res.status(201).json({
       success: true,
-      data: notification
+      data: isSingleUser ? notifications[0] : { count: notifications.length }
     });
   } catch (error) {
     next(error);
@@ -249,10 +320,12 @@ const markAllNotificationsAsRead = async (req, res, next) => {
 };
 
 // Routes
+// Internal route: other services create notifications with a signed service token
+app.post('/', protectService('notification-service'), createNotification);
+
 app.use(protect);
 
 app.get('/', getNotifications);
-app.post('/', createNotification);
 app.put('/:id/read', markNotificationAsRead);
 app.put('/read/all', markAllNotificationsAsRead);
 
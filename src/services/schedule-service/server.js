@@ -1,19 +1,22 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
 const { validateRequired, validateDayOfWeek, validateTimeFormat } = require('../../utils/validator');
-const { serviceRequest } = require('../../shared/utils');
+const { createServiceClient, emitSocketEvent } = require('../../shared/utils');
 const protect = require('../../middleware/auth');
-const authorize = require('../../middleware/role');
-const socketEmitter = require('../../shared/socketEmitter');
+const acceptApiKey = require('../../middleware/apiKey');
+const requirePermission = require('../../middleware/permission');
+const { can } = require('../../shared/permissions');
+const { getActiveTerm, resolveTermId } = require('../../shared/terms');
 
 const app = express();
 const PORT = process.env.SCHEDULE_SERVICE_PORT || 3005;
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('schedule-service');
 
 // Middleware
 app.use(cors());
@@ -34,15 +37,50 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Helper: Notify course students
+const departmentSelect = {
+  select: {
+    id: true,
+    code: true,
+    name: true
+  }
+};
+
+const termSelect = {
+  select: {
+    id: true,
+    name: true
+  }
+};
+
+const sectionSelect = {
+  select: {
+    id: true,
+    code: true,
+    type: true
+  }
+};
+
+// Students on a course waitlist do not attend its classes
+const seatedEnrollmentWhere = {
+  OR: [
+    { status: null },
+    { status: { not: 'WAITLISTED' } }
+  ]
+};
+
+// Helper: Notify students enrolled in a course, in the given term when termId is set
+// and only the members of one section when sectionId is set
 const notifyCourseStudents = async (options) => {
   try {
-    const { courseId, type, message, link, excludeStudentIds = [] } = options;
+    const { courseId, termId, sectionId, type, message, link, excludeStudentIds = [] } = options;
 
     const enrollments = await prisma.enrollment.findMany({
       where: {
         courseId,
-        studentId: excludeStudentIds.length > 0 ? { notIn: excludeStudentIds } : undefined
+        termId: termId || undefined,
+        studentId: excludeStudentIds.length > 0 ? { notIn: excludeStudentIds } : undefined,
+        sections: sectionId ? { some: { sectionId } } : undefined,
+        ...seatedEnrollmentWhere
       },
       select: {
         studentId: true
@@ -56,21 +94,18 @@ const notifyCourseStudents = async (options) => {
     const studentIds = enrollments.map(e => e.studentId);
 
     // Send notifications via Notification Service
-    
-    for (const studentId of studentIds) {
-      try {
-        await serviceRequest('notification-service', '/', {
-          method: 'POST',
-          data: {
-            userId: studentId,
-            type,
-            message,
-            link
-          }
-        });
-      } catch (error) {
-        console.error(`Failed to notify student ${studentId}:`, error.message);
-      }
+    try {
+      await serviceRequest('notification-service', '/', {
+        method: 'POST',
+        data: {
+          userIds: studentIds,
+          type,
+          message,
+          link
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to notify students of course ${courseId}:`, error.message);
     }
 
     return studentIds;
@@ -80,23 +115,101 @@ const notifyCourseStudents = async (options) => {
   }
 };
 
-// @desc    Create schedule
+// Term a new schedule belongs to: the given termId or the active term
+const getScheduleTerm = async (termId) => {
+  const term = termId
+    ? await prisma.academicTerm.findUnique({ where: { id: termId } })
+    : await getActiveTerm(prisma);
+
+  if (!term) {
+    throw new AppError(termId ? 'Academic term not found' : 'There is no active academic term, pass a termId', 400);
+  }
+
+  return term;
+};
+
+// Section a schedule is attached to. It must belong to the schedule's course and term.
+const getScheduleSection = async (sectionId, courseId, termId) => {
+  const section = await prisma.courseSection.findUnique({
+    where: { id: sectionId }
+  });
+
+  if (!section || section.courseId !== courseId || section.termId !== termId) {
+    throw new AppError('Section not found for this course and term', 400);
+  }
+
+  return section;
+};
+
+// Lock venues until the end of a transaction, so a conflict check and the booking that
+// follows cannot race other bookings of the same venues. Locks are taken in ID order
+// to avoid deadlocks.
+const lockVenues = async (tx, venueIds) => {
+  const ids = [...new Set(venueIds.filter(Boolean))].sort();
+
+  if (ids.length > 0) {
+    await tx.$queryRaw`SELECT id FROM venues WHERE id IN (${Prisma.join(ids)}) ORDER BY id FOR UPDATE`;
+  }
+};
+
+// "9:00" -> "09:00". Times are stored as HH:MM so that they compare as strings, which
+// venueConflictWhere relies on.
+const normalizeTime = (time) => time.padStart(5, '0');
+
+// "8:30" -> 510, for times that may not be normalized
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Schedules in a venue that overlap a time slot in a term
+const venueConflictWhere = ({ venueId, dayOfWeek, startTime, endTime, termId }) => ({
+  venueId,
+  dayOfWeek,
+  termId,
+  OR: [
+    {
+      AND: [
+        { startTime: { lte: startTime } },
+        { endTime: { gt: startTime } }
+      ]
+    },
+    {
+      AND: [
+        { startTime: { lt: endTime } },
+        { endTime: { gte: endTime } }
+      ]
+    },
+    {
+      AND: [
+        { startTime: { gte: startTime } },
+        { endTime: { lte: endTime } }
+      ]
+    }
+  ]
+});
+
+// @desc    Create schedule (in the active term unless termId is given). Classes of a
+//          single section are taught by the section's staff member.
 // @route   POST /
 // @access  Private (Lecturers/Admins)
 const createSchedule = async (req, res, next) => {
   try {
-    const { venueId, courseId, dayOfWeek, startTime, endTime, semester } = req.body;
+    const { venueId, courseId, sectionId, dayOfWeek } = req.body;
 
-    validateRequired(['venueId', 'courseId', 'dayOfWeek', 'startTime', 'endTime', 'semester'], req.body);
+    validateRequired(['venueId', 'courseId', 'dayOfWeek', 'startTime', 'endTime'], req.body);
 
     if (!validateDayOfWeek(dayOfWeek)) {
       return next(new AppError('Invalid day of week', 400));
     }
 
-    if (!validateTimeFormat(startTime) || !validateTimeFormat(endTime)) {
+    if (!validateTimeFormat(req.body.startTime) || !validateTimeFormat(req.body.endTime)) {
       return next(new AppError('Invalid time format. Use HH:MM', 400));
     }
 
+    const startTime = normalizeTime(req.body.startTime);
+    const endTime = normalizeTime(req.body.endTime);
+
     if (startTime >= endTime) {
       return next(new AppError('Start time must be before end time', 400));
     }
@@ -121,83 +234,73 @@ const createSchedule = async (req, res, next) => {
       return next(new AppError('Course not found', 404));
     }
 
-    if (req.user.role === 'LECTURER' && course.lecturerId !== req.user.id) {
+    if (!can(req.user, 'schedule:create', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId })) {
       return next(new AppError('You are not the lecturer for this course', 403));
     }
 
-    // Check for conflicting schedules
-    const conflictingSchedule = await prisma.schedule.findFirst({
-      where: {
-        venueId,
-        dayOfWeek,
-        OR: [
-          {
-            AND: [
-              { startTime: { lte: startTime } },
-              { endTime: { gt: startTime } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { lt: endTime } },
-              { endTime: { gte: endTime } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { gte: startTime } },
-              { endTime: { lte: endTime } }
-            ]
-          }
-        ]
-      }
-    });
+    const term = await getScheduleTerm(req.body.termId);
+    const section = sectionId ? await getScheduleSection(sectionId, courseId, term.id) : null;
 
-    if (conflictingSchedule) {
-      return next(new AppError('This time slot is already booked for this venue', 400));
-    }
+    // Check for conflicting schedules in the same term, holding the venue lock until
+    // the class is booked
+    const schedule = await prisma.$transaction(async (tx) => {
+      await lockVenues(tx, [venueId]);
 
-    const schedule = await prisma.schedule.create({
-      data: {
-        venueId,
-        lecturerId: course.lecturerId,
-        courseId,
-        dayOfWeek,
-        startTime,
-        endTime,
-        semester
-      },
-      include: {
-        venue: true,
-        lecturer: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            staffId: true
-          }
+      const conflictingSchedule = await tx.schedule.findFirst({
+        where: venueConflictWhere({ venueId, dayOfWeek, startTime, endTime, termId: term.id })
+      });
+
+      if (conflictingSchedule) {
+        throw new AppError('This time slot is already booked for this venue', 400);
+      }
+
+      return tx.schedule.create({
+        data: {
+          venueId,
+          lecturerId: (section && section.staffId) || course.lecturerId,
+          courseId,
+          sectionId: section ? section.id : null,
+          dayOfWeek,
+          startTime,
+          endTime,
+          termId: term.id
         },
-        course: {
-          select: {
-            id: true,
-            code: true,
-            name: true,
-            department: true
+        include: {
+          venue: true,
+          term: termSelect,
+          section: sectionSelect,
+          lecturer: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              staffId: true
+            }
+          },
+          course: {
+            select: {
+              id: true,
+              code: true,
+              name: true,
+              department: departmentSelect
+            }
           }
         }
-      }
+      });
     });
 
     // Notify enrolled students about the new schedule
     await notifyCourseStudents({
       courseId,
+      termId: term.id,
+      sectionId: schedule.sectionId,
       type: 'SCHEDULE_CREATED',
       message: `New schedule added for ${schedule.course.name} on ${dayOfWeek}`,
       link: `/courses/${courseId}`
     });
 
     // Emit schedule creation event
-    socketEmitter.emit('schedule.created', schedule);
+    await emitSocketEvent('schedule-service', 'schedule.created', schedule);
 
     res.status(201).json({
       success: true,
@@ -208,20 +311,22 @@ const createSchedule = async (req, res, next) => {
   }
 };
 
-// @desc    Get all schedules
+// @desc    Get all schedules of a term (active term by default, termId=all for every term)
 // @route   GET /
 // @access  Private
 const getSchedules = async (req, res, next) => {
   try {
-    const { venueId, lecturerId, dayOfWeek, semester, courseCode, courseId, page = 1, limit = 20 } = req.query;
+    const { venueId, lecturerId, dayOfWeek, courseCode, courseId, sectionId, page = 1, limit = 20 } = req.query;
+    const termId = await resolveTermId(prisma, req.query.termId);
 
     const where = {};
 
-    if (venueId) where.venueId = venueId;
+    if (venueId) where.venueId = venueId === 'none' ? null : venueId;
     if (lecturerId) where.lecturerId = lecturerId;
     if (dayOfWeek) where.dayOfWeek = dayOfWeek;
-    if (semester) where.semester = semester;
+    if (termId) where.termId = termId;
     if (courseId) where.courseId = courseId;
+    if (sectionId) where.sectionId = sectionId;
     if (courseCode) {
       where.course = {
         code: {
@@ -239,13 +344,15 @@ const getSchedules = async (req, res, next) => {
         where,
         include: {
           venue: true,
+          term: termSelect,
+          section: sectionSelect,
           lecturer: {
             select: {
               id: true,
               firstName: true,
               lastName: true,
               staffId: true,
-              department: true
+              department: departmentSelect
             }
           },
           course: {
@@ -253,7 +360,7 @@ const getSchedules = async (req, res, next) => {
               id: true,
               code: true,
               name: true,
-              department: true
+              department: departmentSelect
             }
           }
         },
@@ -282,26 +389,31 @@ const getSchedules = async (req, res, next) => {
   }
 };
 
-// @desc    Get user's schedule
+// @desc    Get user's schedule for a term (active term by default)
 // @route   GET /my-schedule
 // @access  Private
 const getMySchedule = async (req, res, next) => {
   try {
+    const termId = await resolveTermId(prisma, req.query.termId);
+    const termWhere = termId ? { termId } : {};
     let schedules = [];
 
     if (req.user.role === 'LECTURER') {
       schedules = await prisma.schedule.findMany({
         where: {
-          lecturerId: req.user.id
+          lecturerId: req.user.id,
+          ...termWhere
         },
         include: {
           venue: true,
+          term: termSelect,
+          section: sectionSelect,
           course: {
             select: {
               id: true,
               code: true,
               name: true,
-              department: true
+              department: departmentSelect
             }
           }
         },
@@ -313,20 +425,28 @@ const getMySchedule = async (req, res, next) => {
     } else if (req.user.role === 'STUDENT') {
       schedules = await prisma.schedule.findMany({
         where: {
+          ...termWhere,
           course: {
             enrollments: {
-              some: { studentId: req.user.id }
+              some: { studentId: req.user.id, ...termWhere, ...seatedEnrollmentWhere }
             }
-          }
+          },
+          // Classes for the whole course, or for a section the student is in
+          OR: [
+            { sectionId: null },
+            { section: { enrollments: { some: { enrollment: { studentId: req.user.id } } } } }
+          ]
         },
         include: {
           venue: true,
+          term: termSelect,
+          section: sectionSelect,
           course: {
             select: {
               id: true,
               code: true,
               name: true,
-              department: true
+              department: departmentSelect
             }
           },
           lecturer: {
@@ -345,14 +465,17 @@ const getMySchedule = async (req, res, next) => {
       });
     } else {
       schedules = await prisma.schedule.findMany({
+        where: termWhere,
         include: {
           venue: true,
+          term: termSelect,
+          section: sectionSelect,
           course: {
             select: {
               id: true,
               code: true,
               name: true,
-              department: true
+              department: departmentSelect
             }
           },
           lecturer: {
@@ -386,7 +509,7 @@ const getMySchedule = async (req, res, next) => {
 const updateSchedule = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { venueId, courseId, dayOfWeek, startTime, endTime, semester } = req.body;
+    const { venueId, courseId, sectionId, dayOfWeek, startTime, endTime, termId } = req.body;
 
     const schedule = await prisma.schedule.findUnique({
       where: { id },
@@ -400,8 +523,13 @@ const updateSchedule = async (req, res, next) => {
       return next(new AppError('Schedule not found', 404));
     }
 
-    // Check authorization
-    if (req.user.role !== 'ADMIN' && schedule.lecturerId !== req.user.id) {
+    // Check authorization. Section classes can be taught by someone other than the
+    // course lecturer, both may change them.
+    if (!can(req.user, 'schedule:update', {
+      ownerId: [schedule.lecturerId, schedule.course.lecturerId],
+      departmentId: schedule.course.departmentId,
+      courseId: schedule.courseId
+    })) {
       return next(new AppError('Not authorized to update this schedule', 403));
     }
 
@@ -415,7 +543,10 @@ const updateSchedule = async (req, res, next) => {
       updateData.venueId = venueId;
     }
 
-    if (semester) updateData.semester = semester;
+    if (termId) {
+      const term = await getScheduleTerm(termId);
+      updateData.termId = term.id;
+    }
 
     if (courseId) {
       const course = await prisma.course.findUnique({ where: { id: courseId } });
@@ -424,7 +555,7 @@ const updateSchedule = async (req, res, next) => {
         return next(new AppError('Course not found', 404));
       }
 
-      if (req.user.role !== 'ADMIN' && course.lecturerId !== req.user.id) {
+      if (!can(req.user, 'schedule:update', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId })) {
         return next(new AppError('You are not the lecturer for this course', 403));
       }
 
@@ -432,6 +563,21 @@ const updateSchedule = async (req, res, next) => {
       updateData.lecturerId = course.lecturerId;
     }
 
+    // A section only exists within one course and term. Moving the class to another
+    // course or term without naming a new section makes it a class for the whole course.
+    if (sectionId) {
+      const section = await getScheduleSection(
+        sectionId,
+        updateData.courseId || schedule.courseId,
+        updateData.termId || schedule.termId
+      );
+      updateData.sectionId = section.id;
+      updateData.lecturerId = section.staffId || updateData.lecturerId || schedule.course.lecturerId;
+    } else if (sectionId === null || (schedule.sectionId && (updateData.courseId || updateData.termId))) {
+      updateData.sectionId = null;
+      updateData.lecturerId = updateData.lecturerId || schedule.course.lecturerId;
+    }
+
     if (dayOfWeek) {
       if (!validateDayOfWeek(dayOfWeek)) {
         return next(new AppError('Invalid day of week', 400));
@@ -443,104 +589,97 @@ const updateSchedule = async (req, res, next) => {
       if (!validateTimeFormat(startTime)) {
         return next(new AppError('Invalid start time format. Use HH:MM', 400));
       }
-      updateData.startTime = startTime;
+      updateData.startTime = normalizeTime(startTime);
     }
 
     if (endTime) {
       if (!validateTimeFormat(endTime)) {
         return next(new AppError('Invalid end time format. Use HH:MM', 400));
       }
-      updateData.endTime = endTime;
+      updateData.endTime = normalizeTime(endTime);
     }
 
-    // Check for time conflicts if time or day changed
-    if (venueId || dayOfWeek || startTime || endTime) {
-      const checkVenueId = venueId || schedule.venueId;
-      const checkDay = dayOfWeek || schedule.dayOfWeek;
-      const checkStart = startTime || schedule.startTime;
-      const checkEnd = endTime || schedule.endTime;
-
-      const conflictingSchedule = await prisma.schedule.findFirst({
-        where: {
-          id: { not: id },
-          venueId: checkVenueId,
-          dayOfWeek: checkDay,
-          OR: [
-            {
-              AND: [
-                { startTime: { lte: checkStart } },
-                { endTime: { gt: checkStart } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { lt: checkEnd } },
-                { endTime: { gte: checkEnd } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { gte: checkStart } },
-                { endTime: { lte: checkEnd } }
-              ]
-            }
-          ]
-        }
-      });
-
-      if (conflictingSchedule) {
-        return next(new AppError('This time slot is already booked for this venue', 400));
-      }
+    if ((startTime || endTime) &&
+        toMinutes(updateData.startTime || schedule.startTime) >= toMinutes(updateData.endTime || schedule.endTime)) {
+      return next(new AppError('Start time must be before end time', 400));
     }
 
-    const updatedSchedule = await prisma.schedule.update({
-      where: { id },
-      data: updateData,
-      include: {
-        venue: true,
-        lecturer: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            staffId: true
-          }
-        },
-        course: {
-          select: {
-            id: true,
-            code: true,
-            name: true,
-            department: true
+    // Check for time conflicts if venue, time, day or term changed. Classes still
+    // waiting for a venue cannot conflict.
+    const checkVenueId = venueId || schedule.venueId;
+    const updatedSchedule = await prisma.$transaction(async (tx) => {
+      if (checkVenueId && (venueId || dayOfWeek || startTime || endTime || termId)) {
+        await lockVenues(tx, [checkVenueId]);
+
+        const conflictingSchedule = await tx.schedule.findFirst({
+          where: {
+            id: { not: id },
+            ...venueConflictWhere({
+              venueId: checkVenueId,
+              dayOfWeek: dayOfWeek || schedule.dayOfWeek,
+              startTime: updateData.startTime || normalizeTime(schedule.startTime),
+              endTime: updateData.endTime || normalizeTime(schedule.endTime),
+              termId: updateData.termId || schedule.termId
+            })
           }
+        });
+
+        if (conflictingSchedule) {
+          throw new AppError('This time slot is already booked for this venue', 400);
         }
       }
-    });
 
-    // Notify about schedule change
-    try {
-      await serviceRequest('notification-service', '/', {
-        method: 'POST',
-        data: {
-            type: 'SCHEDULE_UPDATE',
-            message: `Schedule updated for ${updatedSchedule.course.name}`,
-            link: `/schedules/${id}`,
-            targetAudience: 'ALL' 
+      return tx.schedule.update({
+        where: { id },
+        data: updateData,
+        include: {
+          venue: true,
+          term: termSelect,
+          section: sectionSelect,
+          lecturer: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              staffId: true
+            }
+          },
+          course: {
+            select: {
+              id: true,
+              code: true,
+              name: true,
+              department: departmentSelect
+            }
+          }
         }
       });
-    } catch (err) {
-      console.error('Failed to send schedule update notification', err);
-    }
+    });
 
-    await notifyCourseStudents({
+    const notifiedStudentIds = await notifyCourseStudents({
       courseId: updatedSchedule.course.id,
+      termId: updatedSchedule.termId,
+      sectionId: updatedSchedule.sectionId,
       type: 'SCHEDULE_UPDATE',
       message: `Schedule updated for ${updatedSchedule.course.name}`,
       link: `/courses/${updatedSchedule.course.id}`
     });
 
+    // Students of the section the class was moved away from need to know too
+    if (schedule.sectionId && schedule.sectionId !== updatedSchedule.sectionId) {
+      await notifyCourseStudents({
+        courseId: schedule.courseId,
+        termId: schedule.termId,
+        sectionId: schedule.sectionId,
+        type: 'SCHEDULE_UPDATE',
+        message: `Schedule updated for ${schedule.course.name}`,
+        link: `/courses/${schedule.courseId}`,
+        excludeStudentIds: notifiedStudentIds
+      });
+    }
+
     // Emit schedule update event
-    socketEmitter.emit('schedule.updated', updatedSchedule);
+    await emitSocketEvent('schedule-service', 'schedule.updated', updatedSchedule);
 
     res.status(200).json({
       success: true,
@@ -559,7 +698,8 @@ const deleteSchedule = async (req, res, next) => {
     const { id } = req.params;
 
     const schedule = await prisma.schedule.findUnique({
-      where: { id }
+      where: { id },
+      include: { course: true }
     });
 
     if (!schedule) {
@@ -567,7 +707,11 @@ const deleteSchedule = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'ADMIN' && schedule.lecturerId !== req.user.id) {
+    if (!can(req.user, 'schedule:delete', {
+      ownerId: [schedule.lecturerId, schedule.course.lecturerId],
+      departmentId: schedule.course.departmentId,
+      courseId: schedule.courseId
+    })) {
       return next(new AppError('Not authorized to delete this schedule', 403));
     }
 
@@ -577,6 +721,8 @@ const deleteSchedule = async (req, res, next) => {
 
     await notifyCourseStudents({
       courseId: schedule.courseId,
+      termId: schedule.termId,
+      sectionId: schedule.sectionId,
       type: 'SCHEDULE_REMOVED',
       message: 'A schedule you were enrolled in has been removed',
       link: `/courses/${schedule.courseId}`
@@ -591,11 +737,292 @@ const deleteSchedule = async (req, res, next) => {
   }
 };
 
+const ROLLOVER_VENUE_OPTIONS = ['keep', 'clear'];
+const ROLLOVER_COURSE_TIMEOUT_MS = 30000;
+
+// Same overlap test as venueConflictWhere, for classes planned earlier in a roll over
+const slotsOverlap = (a, b) => {
+  return a.venueId === b.venueId && a.dayOfWeek === b.dayOfWeek &&
+    toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+// Work out which sections and classes of a course to copy into the target term, using
+// `db` (the rollover transaction, or the client for dry runs) for the conflict checks.
+// `planned` holds the classes planned for earlier courses so they are checked too.
+const planCourseRollover = async (db, course, { targetTerm, targetSections, keepVenues, planned }) => {
+  const existingSections = new Map(targetSections.map((section) => [section.code, section]));
+
+  const sections = course.sections.map((section) => {
+    const existing = existingSections.get(section.code);
+    // Staff who have left keep their old sections but are not carried over
+    const staffId = section.staff && section.staff.status === 'ACTIVE' ? section.staff.id : null;
+
+    return {
+      sourceId: section.id,
+      code: section.code,
+      existingId: existing ? existing.id : null,
+      staffId: existing ? existing.staffId : staffId,
+      staffDropped: !existing && Boolean(section.staffId) && !staffId,
+      data: {
+        courseId: course.id,
+        termId: targetTerm.id,
+        code: section.code,
+        type: section.type,
+        capacity: section.capacity,
+        staffId
+      }
+    };
+  });
+  const sectionsBySourceId = new Map(sections.map((section) => [section.sourceId, section]));
+
+  const schedules = [];
+  const unplaced = [];
+  const slots = [];
+
+  for (const schedule of course.schedules) {
+    const section = schedule.sectionId ? sectionsBySourceId.get(schedule.sectionId) : null;
+    const slot = {
+      venueId: keepVenues ? schedule.venueId : null,
+      dayOfWeek: schedule.dayOfWeek,
+      startTime: normalizeTime(schedule.startTime),
+      endTime: normalizeTime(schedule.endTime)
+    };
+
+    if (slot.venueId) {
+      const conflict = await db.schedule.findFirst({
+        where: venueConflictWhere({ ...slot, termId: targetTerm.id }),
+        include: { course: { select: { code: true } } }
+      });
+      const plannedConflict = [...planned, ...slots].find((other) => slotsOverlap(slot, other));
+
+      if (conflict || plannedConflict) {
+        unplaced.push({
+          scheduleId: schedule.id,
+          courseId: course.id,
+          courseCode: course.code,
+          section: schedule.section,
+          venue: schedule.venue,
+          dayOfWeek: schedule.dayOfWeek,
+          startTime: schedule.startTime,
+          endTime: schedule.endTime,
+          reason: `${schedule.venue.name} is already booked at this time in ${targetTerm.name}`,
+          conflictsWith: conflict ? conflict.course.code : plannedConflict.courseCode
+        });
+        continue;
+      }
+    }
+
+    slots.push({ ...slot, courseCode: course.code });
+    schedules.push({ ...slot, section, lecturerId: (section && section.staffId) || course.lecturerId });
+  }
+
+  return { sections, schedules, unplaced, slots };
+};
+
+// Write a course's planned sections and classes to the target term
+const applyCourseRollover = async (tx, course, targetTerm, plan) => {
+  const sectionIds = new Map();
+
+  for (const section of plan.sections) {
+    const id = section.existingId || (await tx.courseSection.create({ data: section.data })).id;
+    sectionIds.set(section.sourceId, id);
+  }
+
+  await tx.schedule.createMany({
+    data: plan.schedules.map((schedule) => ({
+      courseId: course.id,
+      termId: targetTerm.id,
+      venueId: schedule.venueId,
+      sectionId: schedule.section ? sectionIds.get(schedule.section.sourceId) : null,
+      lecturerId: schedule.lecturerId,
+      dayOfWeek: schedule.dayOfWeek,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime
+    }))
+  });
+};
+
+// Plan and write one course's rollover in a transaction that holds the locks of the
+// venues it keeps, so the conflict checks and the new classes cannot race other bookings
+const rolloverCourse = (course, options) => {
+  return prisma.$transaction(async (tx) => {
+    if (options.keepVenues) {
+      await lockVenues(tx, course.schedules.map((schedule) => schedule.venueId));
+    }
+
+    const plan = await planCourseRollover(tx, course, options);
+    await applyCourseRollover(tx, course, options.targetTerm, plan);
+
+    return plan;
+  }, { timeout: ROLLOVER_COURSE_TIMEOUT_MS });
+};
+
+// @desc    Roll courses over from one term to another, copying their sections with
+//          staff and their classes. Teaching teams belong to the course and carry over
+//          as they are. With venues=keep each class keeps its venue unless that clashes
+//          with a class in the target term; with venues=clear classes are copied without
+//          a venue, to be assigned later. Classes that could not be placed are reported.
+//          Without courseIds every course with classes or sections in the source term
+//          that the user may schedule is rolled over. dryRun=true only returns the report.
+//          Each course is written in its own transaction; courses that fail are listed
+//          under failed and leave nothing behind, while the others are kept.
+// @route   POST /rollover
+// @access  Private (Lecturers for their courses, Department heads/Admins)
+const rolloverSchedules = async (req, res, next) => {
+  try {
+    const { sourceTermId, targetTermId, courseIds, venues = 'keep' } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    validateRequired(['sourceTermId', 'targetTermId'], req.body);
+
+    if (!ROLLOVER_VENUE_OPTIONS.includes(venues)) {
+      return next(new AppError(`venues must be one of: ${ROLLOVER_VENUE_OPTIONS.join(', ')}`, 400));
+    }
+
+    if (courseIds !== undefined && !Array.isArray(courseIds)) {
+      return next(new AppError('courseIds must be an array', 400));
+    }
+
+    if (sourceTermId === targetTermId) {
+      return next(new AppError('Source and target term must be different', 400));
+    }
+
+    const [sourceTerm, targetTerm] = await Promise.all([
+      prisma.academicTerm.findUnique({ where: { id: sourceTermId }, select: termSelect.select }),
+      prisma.academicTerm.findUnique({ where: { id: targetTermId }, select: termSelect.select })
+    ]);
+
+    if (!sourceTerm || !targetTerm) {
+      return next(new AppError('Academic term not found', 404));
+    }
+
+    const courses = await prisma.course.findMany({
+      where: courseIds ? { id: { in: courseIds } } : {
+        OR: [
+          { schedules: { some: { termId: sourceTermId } } },
+          { sections: { some: { termId: sourceTermId } } }
+        ]
+      },
+      include: {
+        schedules: {
+          where: { termId: sourceTermId },
+          include: {
+            venue: { select: { id: true, name: true, building: true } },
+            section: sectionSelect
+          },
+          orderBy: [
+            { dayOfWeek: 'asc' },
+            { startTime: 'asc' }
+          ]
+        },
+        sections: {
+          where: { termId: sourceTermId },
+          include: { staff: { select: { id: true, status: true } } }
+        },
+        _count: {
+          select: { schedules: { where: { termId: targetTermId } } }
+        }
+      },
+      orderBy: { code: 'asc' }
+    });
+
+    if (courseIds) {
+      const missing = courseIds.filter((id) => !courses.some((course) => course.id === id));
+      if (missing.length > 0) {
+        return next(new AppError(`Course not found: ${missing.join(', ')}`, 404));
+      }
+    }
+
+    const allowedCourses = courses.filter((course) =>
+      can(req.user, 'schedule:create', { ownerId: course.lecturerId, departmentId: course.departmentId, courseId: course.id })
+    );
+
+    if (courseIds && allowedCourses.length < courses.length) {
+      const denied = courses.filter((course) => !allowedCourses.includes(course)).map((course) => course.code);
+      return next(new AppError(`Not authorized to schedule classes for: ${denied.join(', ')}`, 403));
+    }
+
+    const targetSections = await prisma.courseSection.findMany({
+      where: { termId: targetTermId, courseId: { in: allowedCourses.map((course) => course.id) } }
+    });
+
+    const rolledOver = [];
+    const skipped = [];
+    const unplaced = [];
+    const failed = [];
+    const planned = [];
+
+    for (const course of allowedCourses) {
+      if (course._count.schedules > 0) {
+        skipped.push({ courseId: course.id, code: course.code, reason: `Already has classes in ${targetTerm.name}` });
+        continue;
+      }
+
+      if (course.schedules.length === 0 && course.sections.length === 0) {
+        skipped.push({ courseId: course.id, code: course.code, reason: `Has no classes or sections in ${sourceTerm.name}` });
+        continue;
+      }
+
+      const options = {
+        targetTerm,
+        targetSections: targetSections.filter((section) => section.courseId === course.id),
+        keepVenues: venues === 'keep',
+        planned
+      };
+
+      let plan;
+      try {
+        plan = dryRun
+          ? await planCourseRollover(prisma, course, options)
+          : await rolloverCourse(course, options);
+      } catch (error) {
+        console.error(`Rolling over ${course.code} failed:`, error);
+        failed.push({ courseId: course.id, code: course.code, reason: error.message });
+        continue;
+      }
+
+      planned.push(...plan.slots);
+      unplaced.push(...plan.unplaced);
+      rolledOver.push({
+        courseId: course.id,
+        code: course.code,
+        name: course.name,
+        sectionsCreated: plan.sections.filter((section) => !section.existingId).length,
+        schedulesCreated: plan.schedules.length,
+        schedulesUnplaced: plan.unplaced.length,
+        sectionsWithoutStaff: plan.sections.filter((section) => section.staffDropped).map((section) => section.code)
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run, nothing was changed'
+        : `Rolled over ${rolledOver.length} courses to ${targetTerm.name}` +
+          (failed.length > 0 ? `; ${failed.length} failed and were not changed` : ''),
+      data: {
+        sourceTerm,
+        targetTerm,
+        venues,
+        dryRun,
+        courses: rolledOver,
+        skipped,
+        unplaced,
+        failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes - All require authentication
+app.use(acceptApiKey('schedules:read'));
 app.use(protect);
 
 app.get('/my-schedule', getMySchedule);
-app.post('/', authorize('LECTURER', 'ADMIN'), createSchedule);
+app.post('/', requirePermission('schedule:create'), createSchedule);
+app.post('/rollover', requirePermission('schedule:create'), rolloverSchedules);
 app.get('/', getSchedules);
 app.put('/:id', updateSchedule);
 app.delete('/:id', deleteSchedule);
@@ -1,18 +1,48 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
-const { validatePassword } = require('../../utils/validator');
+const {
+  validateEmail,
+  validateRole,
+  validatePassword,
+  validatePhoneNumber,
+  validateLanguage,
+  validateTimezone,
+  validateUrl
+} = require('../../utils/validator');
+const { parseCsvRecords } = require('../../utils/csv');
+const { createZip } = require('../../utils/zip');
+const { sendMail } = require('../../utils/mailer');
+const { createServiceClient } = require('../../shared/utils');
 const protect = require('../../middleware/auth');
-const authorize = require('../../middleware/role');
+const requirePermission = require('../../middleware/permission');
+const denyImpersonation = require('../../middleware/impersonation');
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  DEPARTMENT_HEAD_PERMISSIONS,
+  API_KEY_SCOPES,
+  isValidPermission,
+  can,
+  buildGrants,
+  getPermissionScope,
+  holdsGlobally,
+  holdsGrant
+} = require('../../shared/permissions');
 
 const app = express();
 const PORT = process.env.USER_SERVICE_PORT || 3008;
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '10000');
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '5mb';
+const IMPORT_BATCH_SIZE = 200;
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('user-service');
 
 // Middleware
 app.use(cors());
@@ -33,25 +63,131 @@ app.get('/health', (req, res) => {
   });
 });
 
+const departmentSelect = {
+  select: {
+    id: true,
+    code: true,
+    name: true
+  }
+};
+
+// Check that an optional departmentId from a request body refers to a department
+const assertDepartmentExists = async (departmentId) => {
+  if (!departmentId) {
+    return;
+  }
+
+  const department = await prisma.department.findUnique({
+    where: { id: departmentId },
+    select: { id: true }
+  });
+
+  if (!department) {
+    throw new AppError('Department not found', 400);
+  }
+};
+
+// Fields returned for the signed-in user's own account
+const meSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  studentId: true,
+  staffId: true,
+  department: departmentSelect,
+  createdAt: true,
+  profile: {
+    select: {
+      avatarUrl: true,
+      phoneNumber: true,
+      preferredLanguage: true,
+      timezone: true,
+      bio: true,
+      officeLocation: true,
+      yearOfStudy: true,
+      program: true,
+      updatedAt: true
+    }
+  }
+};
+
+// Grants of a user managed through canManageUser
+const managedUserInclude = {
+  roleAssignments: {
+    select: {
+      departmentId: true,
+      role: {
+        select: { permissions: true }
+      }
+    }
+  },
+  headedDepartments: {
+    select: { id: true }
+  },
+  courseStaff: {
+    select: { courseId: true, role: true }
+  }
+};
+
+// Department-scoped user managers may only act on users of their department, never
+// on admins, and never on users holding grants they do not hold themselves (the
+// target must be loaded with managedUserInclude)
+const canManageUser = (user, target) => {
+  if (!can(user, 'user:manage', { departmentId: target.departmentId })) {
+    return false;
+  }
+
+  if (target.role === 'ADMIN' && !getPermissionScope(user, 'user:manage').global) {
+    return false;
+  }
+
+  return buildGrants(target).every((grant) => holdsGrant(user, grant));
+};
+
+// Filter for the users a user manager may list, or null when they manage everyone
+const getManageableUsersWhere = (user) => {
+  const { global, departmentIds } = getPermissionScope(user, 'user:manage');
+
+  if (global) {
+    return null;
+  }
+
+  return {
+    departmentId: { in: departmentIds },
+    role: { not: 'ADMIN' }
+  };
+};
+
 // @desc    Get all users
 // @route   GET /
 // @access  Private/Admin
 const getUsers = async (req, res, next) => {
   try {
-    const { role, department, search, page = 1, limit = 10 } = req.query;
+    const { role, departmentId, status, search, page = 1, limit = 10 } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
     // Build where clause
     const where = {};
+    const manageableWhere = getManageableUsersWhere(req.user);
+
+    if (manageableWhere) {
+      where.AND = [manageableWhere];
+    }
     
     if (role) {
       where.role = role;
     }
     
-    if (department) {
-      where.department = department;
+    if (departmentId) {
+      where.departmentId = departmentId;
+    }
+
+    if (status) {
+      where.status = status;
     }
     
     if (search) {
@@ -75,7 +211,8 @@ const getUsers = async (req, res, next) => {
           role: true,
           studentId: true,
           staffId: true,
-          department: true,
+          department: departmentSelect,
+          status: true,
           createdAt: true
         },
         orderBy: { createdAt: 'desc' }
@@ -115,13 +252,16 @@ const getUser = async (req, res, next) => {
         role: true,
         studentId: true,
         staffId: true,
-        department: true,
+        department: departmentSelect,
+        status: true,
+        deactivatedAt: true,
         createdAt: true,
         _count: {
           select: {
             announcements: true,
             comments: true,
-            schedules: true
+            schedules: true,
+            taughtCourses: true
           }
         }
       }
@@ -146,28 +286,38 @@ const getUser = async (req, res, next) => {
 const updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { firstName, lastName, department, password } = req.body;
+    const { firstName, lastName, departmentId, password } = req.body;
 
     // Check if user exists
     const user = await prisma.user.findUnique({
-      where: { id }
+      where: { id },
+      include: managedUserInclude
     });
 
     if (!user) {
       return next(new AppError('User not found', 404));
     }
 
-    // Only allow users to update their own profile (unless admin)
-    if (req.user.role !== 'ADMIN' && req.user.id !== id) {
+    // Department-scoped user managers may only update users of their department
+    if (!canManageUser(req.user, user)) {
       return next(new AppError('Not authorized to update this user', 403));
     }
 
+    // Moving a user requires rights in the target department as well
+    if (departmentId && departmentId !== user.departmentId) {
+      if (!can(req.user, 'user:manage', { departmentId })) {
+        return next(new AppError('Not authorized to move this user to that department', 403));
+      }
+
+      await assertDepartmentExists(departmentId);
+    }
+
     // Build update data
     const updateData = {};
     
     if (firstName) updateData.firstName = firstName;
     if (lastName) updateData.lastName = lastName;
-    if (department) updateData.department = department;
+    if (departmentId) updateData.departmentId = departmentId;
     
     if (password) {
       if (!validatePassword(password)) {
@@ -188,7 +338,7 @@ const updateUser = async (req, res, next) => {
         role: true,
         studentId: true,
         staffId: true,
-        department: true,
+        department: departmentSelect,
         createdAt: true
       }
     });
@@ -202,54 +352,2157 @@ const updateUser = async (req, res, next) => {
   }
 };
 
-// @desc    Delete user
-// @route   DELETE /:id
+// Build the writes that move a lecturer's courses, and the schedules of those
+// courses, to another lecturer. Throws AppError when the reassignment is not allowed.
+const buildCourseReassignment = async (req, fromId, toId, courseIds) => {
+  if (toId === fromId) {
+    throw new AppError('Courses must be reassigned to a different lecturer', 400);
+  }
+
+  const lecturer = await prisma.user.findFirst({
+    where: { id: toId, role: { in: ['LECTURER', 'ADMIN'] }, status: 'ACTIVE' }
+  });
+
+  if (!lecturer) {
+    throw new AppError('Provided lecturer does not exist or is not active', 400);
+  }
+
+  const courses = await prisma.course.findMany({
+    where: {
+      lecturerId: fromId,
+      ...(courseIds ? { id: { in: courseIds } } : {})
+    },
+    select: { id: true, name: true, departmentId: true }
+  });
+
+  if (courseIds && courses.length !== courseIds.length) {
+    throw new AppError('Some courses were not found or are not taught by this user', 400);
+  }
+
+  const forbidden = courses.filter((course) => !can(req.user, 'course:reassign', { departmentId: course.departmentId }));
+  if (forbidden.length > 0) {
+    throw new AppError(`Not authorized to reassign: ${forbidden.map((course) => course.name).join(', ')}`, 403);
+  }
+
+  const ids = courses.map((course) => course.id);
+
+  return {
+    lecturer,
+    courses,
+    operations: [
+      prisma.course.updateMany({
+        where: { id: { in: ids } },
+        data: { lecturerId: toId }
+      }),
+      prisma.schedule.updateMany({
+        where: { courseId: { in: ids }, lecturerId: fromId },
+        data: { lecturerId: toId }
+      })
+    ]
+  };
+};
+
+// Tell the new lecturer which courses they took over
+const notifyCourseReassignment = async (lecturerId, courses) => {
+  if (courses.length === 0) {
+    return;
+  }
+
+  try {
+    await serviceRequest('notification-service', '/', {
+      method: 'POST',
+      data: {
+        userId: lecturerId,
+        type: 'COURSE_REASSIGNED',
+        message: courses.length === 1
+          ? `You are now the lecturer of "${courses[0].name}"`
+          : `You are now the lecturer of ${courses.length} courses: ${courses.map((course) => course.name).join(', ')}`,
+        link: courses.length === 1 ? `/courses/${courses[0].id}` : '/courses'
+      }
+    });
+  } catch (err) {
+    console.error('Failed to send course reassignment notification', err.message);
+  }
+};
+
+// @desc    Deactivate a user, keeping their content. Optionally hand their
+//          courses over to another lecturer with reassignTo.
+// @route   POST /:id/deactivate (also DELETE /:id)
+// @access  Private/Admin
+const deactivateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason, reassignTo } = req.body || {};
+
+    if (id === req.user.id) {
+      return next(new AppError('You cannot deactivate your own account', 400));
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      include: managedUserInclude
+    });
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return next(new AppError('Not authorized to deactivate this user', 403));
+    }
+
+    if (user.status === 'DEACTIVATED') {
+      return next(new AppError('User is already deactivated', 400));
+    }
+
+    if (user.role === 'ADMIN') {
+      const otherAdmins = await prisma.user.count({
+        where: { role: 'ADMIN', status: 'ACTIVE', id: { not: id } }
+      });
+
+      if (otherAdmins === 0) {
+        return next(new AppError('Cannot deactivate the last active admin', 400));
+      }
+    }
+
+    const reassignment = reassignTo ? await buildCourseReassignment(req, id, reassignTo) : null;
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id },
+        data: {
+          status: 'DEACTIVATED',
+          deactivatedAt: new Date(),
+          deactivationReason: reason || null
+        }
+      }),
+      // Sign the user out everywhere
+      prisma.session.updateMany({
+        where: { userId: id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      }),
+      ...(reassignment ? reassignment.operations : [])
+    ]);
+
+    if (reassignment) {
+      await notifyCourseReassignment(reassignTo, reassignment.courses);
+    }
+
+    const coursesPendingReassignment = await prisma.course.count({
+      where: { lecturerId: id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User deactivated',
+      data: {
+        reassignedCourses: reassignment ? reassignment.courses.length : 0,
+        coursesPendingReassignment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate a deactivated user
+// @route   POST /:id/reactivate
 // @access  Private/Admin
-const deleteUser = async (req, res, next) => {
+const reactivateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const user = await prisma.user.findUnique({
-      where: { id }
+      where: { id },
+      include: managedUserInclude
     });
 
     if (!user) {
       return next(new AppError('User not found', 404));
     }
 
-    await prisma.user.delete({
+    if (!canManageUser(req.user, user)) {
+      return next(new AppError('Not authorized to reactivate this user', 403));
+    }
+
+    if (user.status === 'ACTIVE') {
+      return next(new AppError('User is already active', 400));
+    }
+
+    await prisma.user.update({
+      where: { id },
+      data: {
+        status: 'ACTIVE',
+        deactivatedAt: null,
+        deactivationReason: null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reassign a lecturer's courses (all, or the given courseIds) and their schedules
+// @route   POST /:id/reassign-courses
+// @access  Private/Admin
+const reassignCourses = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { lecturerId, courseIds } = req.body;
+
+    if (!lecturerId) {
+      return next(new AppError('Lecturer ID is required', 400));
+    }
+
+    if (courseIds !== undefined && (!Array.isArray(courseIds) || courseIds.length === 0)) {
+      return next(new AppError('courseIds must be a non-empty array', 400));
+    }
+
+    const user = await prisma.user.findUnique({
       where: { id }
     });
 
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const reassignment = await buildCourseReassignment(req, id, lecturerId, courseIds);
+
+    if (reassignment.courses.length === 0) {
+      return next(new AppError('User does not teach any courses', 400));
+    }
+
+    const [, schedules] = await prisma.$transaction(reassignment.operations);
+
+    await notifyCourseReassignment(lecturerId, reassignment.courses);
+
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'Courses reassigned',
+      data: {
+        courses: reassignment.courses.length,
+        schedules: schedules.count
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Update push token for current user
-// @route   PUT /me/push-token
+// @desc    Get current user's account and profile
+// @route   GET /me
 // @access  Private
-const updatePushToken = async (req, res, next) => {
+const getMe = async (req, res, next) => {
   try {
-    const { pushToken } = req.body;
-    const userId = req.user.id;
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: meSelect
+    });
 
-    if (!pushToken) {
-      return next(new AppError('Push token is required', 400));
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update current user's name and profile
+// @route   PUT /me
+// @access  Private
+const updateMe = async (req, res, next) => {
+  try {
+    const { firstName, lastName } = req.body;
+    const isStudent = req.user.role === 'STUDENT';
+
+    const userData = {};
+    if (firstName) userData.firstName = firstName;
+    if (lastName) userData.lastName = lastName;
+
+    const profileData = {};
+
+    if (req.body.avatarUrl !== undefined) {
+      if (req.body.avatarUrl && !validateUrl(req.body.avatarUrl)) {
+        return next(new AppError('Avatar must be a valid http(s) URL', 400));
+      }
+      profileData.avatarUrl = req.body.avatarUrl || null;
+    }
+
+    if (req.body.phoneNumber !== undefined) {
+      if (req.body.phoneNumber && !validatePhoneNumber(req.body.phoneNumber)) {
+        return next(new AppError('Invalid phone number', 400));
+      }
+      profileData.phoneNumber = req.body.phoneNumber || null;
+    }
+
+    if (req.body.preferredLanguage) {
+      if (!validateLanguage(req.body.preferredLanguage)) {
+        return next(new AppError('Invalid language. Must be en, sn or nd', 400));
+      }
+      profileData.preferredLanguage = req.body.preferredLanguage;
+    }
+
+    if (req.body.timezone) {
+      if (!validateTimezone(req.body.timezone)) {
+        return next(new AppError('Invalid timezone', 400));
+      }
+      profileData.timezone = req.body.timezone;
+    }
+
+    if (req.body.bio !== undefined) {
+      profileData.bio = req.body.bio || null;
+    }
+
+    if (req.body.officeLocation !== undefined) {
+      if (isStudent) {
+        return next(new AppError('Office location is only available for staff accounts', 400));
+      }
+      profileData.officeLocation = req.body.officeLocation || null;
+    }
+
+    if (req.body.yearOfStudy !== undefined || req.body.program !== undefined) {
+      if (!isStudent) {
+        return next(new AppError('Year of study and program are only available for student accounts', 400));
+      }
+
+      if (req.body.yearOfStudy !== undefined) {
+        const yearOfStudy = req.body.yearOfStudy === null ? null : Number(req.body.yearOfStudy);
+        if (yearOfStudy !== null && (!Number.isInteger(yearOfStudy) || yearOfStudy < 1 || yearOfStudy > 7)) {
+          return next(new AppError('Year of study must be a whole number between 1 and 7', 400));
+        }
+        profileData.yearOfStudy = yearOfStudy;
+      }
+
+      if (req.body.program !== undefined) {
+        profileData.program = req.body.program || null;
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: userData
+      }),
+      prisma.userProfile.upsert({
+        where: { userId: req.user.id },
+        create: { userId: req.user.id, ...profileData },
+        update: profileData
+      })
+    ]);
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: meSelect
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get accounts currently locked after failed logins
+// @route   GET /locked
+// @access  Private/Admin
+const getLockedUsers = async (req, res, next) => {
+  try {
+    const users = await prisma.user.findMany({
+      where: {
+        lockedUntil: { gt: new Date() },
+        ...getManageableUsersWhere(req.user)
+      },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        lockedUntil: true,
+        lastFailedLoginAt: true
+      },
+      orderBy: { lockedUntil: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock a locked account
+// @route   POST /:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      include: managedUserInclude
+    });
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return next(new AppError('Not authorized to unlock this user', 403));
     }
 
     await prisma.user.update({
-      where: { id: userId },
-      data: { pushToken },
+      where: { id },
+      data: {
+        lockedUntil: null,
+        failedLoginAttempts: 0
+      }
     });
 
     res.status(200).json({
       success: true,
-      message: 'Push token updated successfully',
+      message: 'User account unlocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset another user's two-factor authentication
+// @route   DELETE /:id/2fa
+// @access  Private/Admin
+const resetTwoFactor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      include: managedUserInclude
+    });
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return next(new AppError('Not authorized to reset two-factor authentication for this user', 403));
+    }
+
+    // The lost device may still hold live sessions, so sign the user out everywhere
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorRecoveryCodes: []
+        }
+      }),
+      prisma.session.updateMany({
+        where: { userId: id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset; the user must enroll again on next login if required'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update push token for the current device
+// @route   PUT /me/push-token
+// @access  Private
+const updatePushToken = async (req, res, next) => {
+  try {
+    const { pushToken } = req.body;
+
+    if (!pushToken) {
+      return next(new AppError('Push token is required', 400));
+    }
+
+    // A device token belongs to whichever session registered it last
+    await prisma.$transaction([
+      prisma.session.updateMany({
+        where: { pushToken, id: { not: req.sessionId } },
+        data: { pushToken: null }
+      }),
+      prisma.session.update({
+        where: { id: req.sessionId },
+        data: { pushToken }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Push token updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get active sessions of the current user
+// @route   GET /me/sessions
+// @access  Private
+const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastSeenAt: true,
+        createdAt: true,
+        pushToken: true
+      },
+      orderBy: { lastSeenAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(({ pushToken, ...session }) => ({
+        ...session,
+        pushEnabled: Boolean(pushToken),
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /me/sessions/:sessionId
+// @access  Private
+const revokeMySession = async (req, res, next) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: req.params.sessionId,
+        userId: req.user.id,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all sessions of the current user
+// @route   DELETE /me/sessions
+// @access  Private
+const revokeMySessions = async (req, res, next) => {
+  try {
+    const { exceptCurrent } = req.query;
+
+    const where = {
+      userId: req.user.id,
+      revokedAt: null
+    };
+
+    if (exceptCurrent === 'true') {
+      where.id = { not: req.sessionId };
+    }
+
+    const result = await prisma.session.updateMany({
+      where,
+      data: { revokedAt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        count: result.count
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Validate a list of permissions for a custom role
+// Custom roles can only hand on permissions their creator holds everywhere, and never
+// '*', so nobody can grant themselves more than they already have
+const validatePermissions = (permissions, user) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new AppError('Permissions must be a non-empty array', 400);
+  }
+
+  const invalid = permissions.filter((permission) => !isValidPermission(permission));
+  if (invalid.length > 0) {
+    throw new AppError(`Unknown permissions: ${invalid.join(', ')}`, 400);
+  }
+
+  if (permissions.includes('*')) {
+    throw new AppError('Custom roles cannot grant every permission (*)', 400);
+  }
+
+  assertCanGrantPermissions(user, permissions);
+
+  return [...new Set(permissions)];
+};
+
+const assertCanGrantPermissions = (user, permissions) => {
+  const notHeld = permissions.filter((permission) => !holdsGlobally(user, permission));
+  if (notHeld.length > 0) {
+    throw new AppError(`You cannot grant permissions you do not hold: ${notHeld.join(', ')}`, 403);
+  }
+};
+
+// Assigning a role for a department needs role management and the role's permissions
+// in that department; assigning it everywhere is reserved to global admins
+const assertCanAssignRole = (user, role, departmentId) => {
+  if (!departmentId) {
+    if (!holdsGlobally(user, '*')) {
+      throw new AppError('Only admins can assign roles for every department', 403);
+    }
+    return;
+  }
+
+  if (!can(user, 'role:manage', { departmentId })) {
+    throw new AppError('Not authorized to manage roles in this department', 403);
+  }
+
+  const notHeld = role.permissions.filter((permission) =>
+    !holdsGlobally(user, permission) &&
+    !can(user, permission.replace(/:(own|any)$/, ''), { departmentId })
+  );
+
+  if (notHeld.length > 0) {
+    throw new AppError(`You cannot grant permissions you do not hold in this department: ${notHeld.join(', ')}`, 403);
+  }
+};
+
+const departmentInclude = {
+  head: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+      staffId: true
+    }
+  },
+  _count: {
+    select: {
+      members: true,
+      courses: true
+    }
+  }
+};
+
+// Department heads must be active staff
+const validateDepartmentHead = async (headId) => {
+  if (!headId) {
+    return null;
+  }
+
+  const head = await prisma.user.findFirst({
+    where: { id: headId, role: { in: ['LECTURER', 'ADMIN'] }, status: 'ACTIVE' }
+  });
+
+  if (!head) {
+    throw new AppError('Head of department must be an active lecturer or admin', 400);
+  }
+
+  return head.id;
+};
+
+// Make sure no other department uses the code or name
+const assertDepartmentUnique = async ({ code, name }, excludeId) => {
+  const conditions = [];
+  if (code) conditions.push({ code });
+  if (name) conditions.push({ name: { equals: name, mode: 'insensitive' } });
+
+  if (conditions.length === 0) {
+    return;
+  }
+
+  const existingDepartment = await prisma.department.findFirst({
+    where: {
+      OR: conditions,
+      ...(excludeId ? { id: { not: excludeId } } : {})
+    }
+  });
+
+  if (existingDepartment) {
+    throw new AppError('A department with this code or name already exists', 400);
+  }
+};
+
+// @desc    Get departments
+// @route   GET /departments
+// @access  Private
+const getDepartments = async (req, res, next) => {
+  try {
+    const { faculty, search } = req.query;
+
+    const where = {};
+
+    if (faculty) {
+      where.faculty = faculty;
+    }
+
+    if (search) {
+      where.OR = [
+        { code: { contains: search, mode: 'insensitive' } },
+        { name: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const departments = await prisma.department.findMany({
+      where,
+      include: departmentInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: departments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single department
+// @route   GET /departments/:departmentId
+// @access  Private
+const getDepartment = async (req, res, next) => {
+  try {
+    const department = await prisma.department.findUnique({
+      where: { id: req.params.departmentId },
+      include: departmentInclude
+    });
+
+    if (!department) {
+      return next(new AppError('Department not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get members of a department
+// @route   GET /departments/:departmentId/members
+// @access  Private (Head of department/Admin)
+const getDepartmentMembers = async (req, res, next) => {
+  try {
+    const { departmentId } = req.params;
+    const { role, status, page = 1, limit = 20 } = req.query;
+
+    const department = await prisma.department.findUnique({
+      where: { id: departmentId }
+    });
+
+    if (!department) {
+      return next(new AppError('Department not found', 404));
+    }
+
+    if (department.headId !== req.user.id && !can(req.user, 'user:manage', { departmentId })) {
+      return next(new AppError('Not authorized to view the members of this department', 403));
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = { departmentId };
+    if (role) where.role = role;
+    if (status) where.status = status;
+
+    const [members, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        skip,
+        take,
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          role: true,
+          studentId: true,
+          staffId: true,
+          status: true
+        },
+        orderBy: [
+          { lastName: 'asc' },
+          { firstName: 'asc' }
+        ]
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: members,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a department
+// @route   POST /departments
+// @access  Private/Admin
+const createDepartment = async (req, res, next) => {
+  try {
+    const { name, faculty, headId } = req.body;
+    const code = (req.body.code || '').trim().toUpperCase();
+
+    if (!code || !name) {
+      return next(new AppError('Department code and name are required', 400));
+    }
+
+    await assertDepartmentUnique({ code, name });
+
+    const department = await prisma.department.create({
+      data: {
+        code,
+        name,
+        faculty: faculty || null,
+        headId: await validateDepartmentHead(headId)
+      },
+      include: departmentInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a department or appoint its head (headId: null removes the head)
+// @route   PUT /departments/:departmentId
+// @access  Private/Admin
+const updateDepartment = async (req, res, next) => {
+  try {
+    const { departmentId } = req.params;
+    const { name, faculty, headId } = req.body;
+    const code = req.body.code ? req.body.code.trim().toUpperCase() : undefined;
+
+    const department = await prisma.department.findUnique({
+      where: { id: departmentId }
+    });
+
+    if (!department) {
+      return next(new AppError('Department not found', 404));
+    }
+
+    await assertDepartmentUnique({ code, name }, departmentId);
+
+    const updateData = {};
+    if (code) updateData.code = code;
+    if (name) updateData.name = name;
+    if (faculty !== undefined) updateData.faculty = faculty || null;
+    if (headId !== undefined) updateData.headId = await validateDepartmentHead(headId);
+
+    const updatedDepartment = await prisma.department.update({
+      where: { id: departmentId },
+      data: updateData,
+      include: departmentInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedDepartment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a department that no longer has members or courses
+// @route   DELETE /departments/:departmentId
+// @access  Private/Admin
+const deleteDepartment = async (req, res, next) => {
+  try {
+    const department = await prisma.department.findUnique({
+      where: { id: req.params.departmentId },
+      include: departmentInclude
+    });
+
+    if (!department) {
+      return next(new AppError('Department not found', 404));
+    }
+
+    if (department._count.members > 0 || department._count.courses > 0) {
+      return next(new AppError('Move the members and courses of this department elsewhere before deleting it', 400));
+    }
+
+    await prisma.department.delete({
+      where: { id: department.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List all permissions, the defaults of each base role and API key scopes
+// @route   GET /permissions
+// @access  Private/Admin
+const getPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+        roleDefaults: ROLE_PERMISSIONS,
+        departmentHeadPermissions: DEPARTMENT_HEAD_PERMISSIONS,
+        apiKeyScopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get custom roles
+// @route   GET /roles
+// @access  Private/Admin
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await prisma.role.findMany({
+      include: {
+        _count: {
+          select: { assignments: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a custom role
+// @route   POST /roles
+// @access  Private/Admin
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name) {
+      return next(new AppError('Role name is required', 400));
+    }
+
+    const permissions = validatePermissions(req.body.permissions, req.user);
+
+    const existingRole = await prisma.role.findUnique({
+      where: { name }
+    });
+
+    if (existingRole) {
+      return next(new AppError('A role with this name already exists', 400));
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        description,
+        permissions
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a custom role
+// @route   PUT /roles/:roleId
+// @access  Private/Admin
+const updateRole = async (req, res, next) => {
+  try {
+    const { roleId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await prisma.role.findUnique({
+      where: { id: roleId }
+    });
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    assertCanGrantPermissions(req.user, role.permissions);
+
+    const updateData = {};
+
+    if (name && name !== role.name) {
+      const existingRole = await prisma.role.findUnique({
+        where: { name }
+      });
+
+      if (existingRole) {
+        return next(new AppError('A role with this name already exists', 400));
+      }
+
+      updateData.name = name;
+    }
+
+    if (description !== undefined) updateData.description = description;
+    if (permissions !== undefined) updateData.permissions = validatePermissions(permissions, req.user);
+
+    const updatedRole = await prisma.role.update({
+      where: { id: roleId },
+      data: updateData
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedRole
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a custom role and all its assignments
+// @route   DELETE /roles/:roleId
+// @access  Private/Admin
+const deleteRole = async (req, res, next) => {
+  try {
+    const { roleId } = req.params;
+
+    const role = await prisma.role.findUnique({
+      where: { id: roleId }
+    });
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    assertCanGrantPermissions(req.user, role.permissions);
+
+    await prisma.role.delete({
+      where: { id: roleId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user's custom role assignments
+// @route   GET /:id/roles
+// @access  Private/Admin
+const getUserRoles = async (req, res, next) => {
+  try {
+    const assignments = await prisma.roleAssignment.findMany({
+      where: { userId: req.params.id },
+      include: {
+        role: true,
+        department: departmentSelect
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign a custom role to a user, optionally for a single department
+// @route   POST /:id/roles
+// @access  Private/Admin
+const assignRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { roleId, departmentId } = req.body;
+
+    if (!roleId) {
+      return next(new AppError('Role ID is required', 400));
+    }
+
+    if (id === req.user.id) {
+      return next(new AppError('You cannot assign roles to yourself', 403));
+    }
+
+    const [user, role] = await Promise.all([
+      prisma.user.findUnique({ where: { id } }),
+      prisma.role.findUnique({ where: { id: roleId } })
+    ]);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    assertCanAssignRole(req.user, role, departmentId);
+    await assertDepartmentExists(departmentId);
+
+    const existingAssignment = await prisma.roleAssignment.findFirst({
+      where: {
+        userId: id,
+        roleId,
+        departmentId: departmentId || null
+      }
+    });
+
+    if (existingAssignment) {
+      return next(new AppError('User already has this role', 400));
+    }
+
+    const assignment = await prisma.roleAssignment.create({
+      data: {
+        userId: id,
+        roleId,
+        departmentId: departmentId || null
+      },
+      include: {
+        role: true,
+        department: departmentSelect
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a custom role assignment from a user
+// @route   DELETE /:id/roles/:assignmentId
+// @access  Private/Admin
+const unassignRole = async (req, res, next) => {
+  try {
+    const assignment = await prisma.roleAssignment.findFirst({
+      where: {
+        id: req.params.assignmentId,
+        userId: req.params.id
+      }
+    });
+
+    if (!assignment) {
+      return next(new AppError('Role assignment not found', 404));
+    }
+
+    // Department-scoped role managers may only remove assignments of their department
+    if (!can(req.user, 'role:manage', { departmentId: assignment.departmentId })) {
+      return next(new AppError('Not authorized to remove this role assignment', 403));
+    }
+
+    await prisma.roleAssignment.delete({
+      where: { id: assignment.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role removed from user'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// CSV columns accepted by the bulk import, keyed by header with case, spaces and
+// punctuation removed (so "First Name", "first_name" and "firstName" all work)
+const IMPORT_COLUMNS = {
+  email: 'email',
+  firstname: 'firstName',
+  lastname: 'lastName',
+  role: 'role',
+  studentid: 'studentId',
+  staffid: 'staffId',
+  department: 'department'
+};
+
+const normalizeImportHeader = (header) => {
+  return IMPORT_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || null;
+};
+
+// Validate import rows against the validator rules, the rest of the file, existing
+// accounts and the departments the importing user may import into. Row numbers refer
+// to CSV lines, the header being line 1.
+const validateImportRows = async (records, user) => {
+  const rowErrors = [];
+  const candidates = [];
+  const seen = { email: new Map(), studentId: new Map(), staffId: new Map() };
+
+  // The department column may hold a department code or name
+  const departments = await prisma.department.findMany({
+    select: { id: true, code: true, name: true }
+  });
+  const departmentIds = new Map();
+  departments.forEach((department) => {
+    departmentIds.set(department.code.toLowerCase(), department.id);
+    departmentIds.set(department.name.toLowerCase(), department.id);
+  });
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const errors = [];
+    const role = (record.role || '').toUpperCase();
+
+    const missing = ['email', 'firstName', 'lastName', 'role'].filter((field) => !record[field]);
+    if (missing.length > 0) {
+      errors.push(`Missing required fields: ${missing.join(', ')}`);
+    }
+
+    if (record.email && !validateEmail(record.email)) {
+      errors.push('Invalid email format');
+    }
+
+    if (role && !validateRole(role)) {
+      errors.push('Invalid role. Must be STUDENT or LECTURER');
+    } else if (role === 'ADMIN') {
+      errors.push('Admin accounts cannot be imported, invite them individually');
+    } else if (role === 'STUDENT' && !record.studentId) {
+      errors.push('Student ID is required for students');
+    } else if (role === 'LECTURER' && !record.staffId) {
+      errors.push('Staff ID is required for lecturers');
+    }
+
+    const departmentId = record.department ? departmentIds.get(record.department.toLowerCase()) : null;
+    if (record.department && !departmentId) {
+      errors.push(`Unknown department "${record.department}"`);
+    }
+
+    const data = {
+      email: record.email,
+      firstName: record.firstName,
+      lastName: record.lastName,
+      role,
+      departmentId: departmentId || null
+    };
+
+    // Only the identifier matching the role is imported
+    if (role === 'STUDENT') data.studentId = record.studentId;
+    if (role === 'LECTURER') data.staffId = record.staffId;
+
+    for (const field of ['email', 'studentId', 'staffId']) {
+      if (!data[field]) continue;
+
+      if (seen[field].has(data[field])) {
+        errors.push(`Duplicate ${field} in file (also on row ${seen[field].get(data[field])})`);
+      } else {
+        seen[field].set(data[field], row);
+      }
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ row, email: record.email || null, errors });
+    } else {
+      candidates.push({ row, data });
+    }
+  });
+
+  // Compare with existing accounts
+  const pick = (field) => candidates.map((candidate) => candidate.data[field]).filter(Boolean);
+  const existingUsers = await prisma.user.findMany({
+    where: {
+      OR: [
+        { email: { in: pick('email') } },
+        { studentId: { in: pick('studentId') } },
+        { staffId: { in: pick('staffId') } }
+      ]
+    },
+    select: { email: true, role: true, studentId: true, staffId: true, departmentId: true }
+  });
+
+  const byEmail = new Map(existingUsers.map((user) => [user.email, user]));
+  const byStudentId = new Map(existingUsers.filter((user) => user.studentId).map((user) => [user.studentId, user]));
+  const byStaffId = new Map(existingUsers.filter((user) => user.staffId).map((user) => [user.staffId, user]));
+
+  const validRows = [];
+  let newUsers = 0;
+
+  for (const candidate of candidates) {
+    const { data } = candidate;
+    const errors = [];
+    const existingUser = byEmail.get(data.email);
+
+    if (existingUser && existingUser.role !== data.role) {
+      errors.push(`Existing account is ${existingUser.role}; roles cannot be changed by import`);
+    }
+
+    // Department-scoped importers may only create and update accounts of their department
+    if (existingUser && !can(user, 'user:import', { departmentId: existingUser.departmentId })) {
+      errors.push('Not authorized to update this account, it belongs to another department');
+    } else if ((!existingUser || data.departmentId) && !can(user, 'user:import', { departmentId: data.departmentId })) {
+      errors.push('Not authorized to import users into this department');
+    }
+
+    const studentOwner = data.studentId && byStudentId.get(data.studentId);
+    if (studentOwner && studentOwner.email !== data.email) {
+      errors.push('Student ID already belongs to another account');
+    }
+
+    const staffOwner = data.staffId && byStaffId.get(data.staffId);
+    if (staffOwner && staffOwner.email !== data.email) {
+      errors.push('Staff ID already belongs to another account');
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ row: candidate.row, email: data.email, errors });
+    } else {
+      validRows.push(candidate);
+      if (!existingUser) newUsers++;
+    }
+  }
+
+  rowErrors.sort((a, b) => a.row - b.row);
+
+  return { validRows, rowErrors, newUsers };
+};
+
+// Upsert one batch of import rows. Falls back to row by row when the batch fails
+// so that a single conflicting row does not fail its neighbours.
+const importBatch = async (batch, placeholderPassword) => {
+  const existingUsers = await prisma.user.findMany({
+    where: { email: { in: batch.map(({ data }) => data.email) } },
+    select: { email: true }
+  });
+  const existingEmails = new Set(existingUsers.map((user) => user.email));
+
+  const upsertRow = ({ data }) => {
+    const { email, role, ...fields } = data;
+    const update = { ...fields };
+
+    // Blank departments in the file do not clear existing ones
+    if (!update.departmentId) delete update.departmentId;
+
+    return prisma.user.upsert({
+      where: { email },
+      update,
+      create: {
+        ...data,
+        password: placeholderPassword,
+        emailVerified: true
+      },
+      select: { id: true, email: true }
+    });
+  };
+
+  const result = { createdIds: [], updatedCount: 0, rowErrors: [] };
+  const record = (user) => {
+    if (existingEmails.has(user.email)) {
+      result.updatedCount++;
+    } else {
+      result.createdIds.push(user.id);
+    }
+  };
+
+  try {
+    const users = await prisma.$transaction(batch.map(upsertRow));
+    users.forEach(record);
+  } catch (batchError) {
+    for (const row of batch) {
+      try {
+        record(await upsertRow(row));
+      } catch (error) {
+        result.rowErrors.push({
+          row: row.row,
+          email: row.data.email,
+          errors: [error.code === 'P2002' ? 'Student or staff ID already belongs to another account' : error.message]
+        });
+      }
+    }
+  }
+
+  return result;
+};
+
+// Apply an import in the background, recording progress on the job
+const processImportJob = async (job, rows, initialErrors) => {
+  const rowErrors = [...initialErrors];
+
+  try {
+    await prisma.importJob.update({
+      where: { id: job.id },
+      data: { status: 'RUNNING', startedAt: new Date() }
+    });
+
+    // New accounts get a random password nobody knows until they set their own
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + IMPORT_BATCH_SIZE);
+      const result = await importBatch(batch, placeholderPassword);
+
+      if (job.sendInvitations && result.createdIds.length > 0) {
+        try {
+          await serviceRequest('auth-service', '/internal/account-setup', {
+            method: 'POST',
+            data: { userIds: result.createdIds }
+          });
+        } catch (err) {
+          console.error(`Failed to send account setup emails for import ${job.id}:`, err.message);
+        }
+      }
+
+      rowErrors.push(...result.rowErrors);
+
+      await prisma.importJob.update({
+        where: { id: job.id },
+        data: {
+          processedRows: { increment: batch.length },
+          createdCount: { increment: result.createdIds.length },
+          updatedCount: { increment: result.updatedCount },
+          failedCount: { increment: result.rowErrors.length },
+          rowErrors: rowErrors.sort((a, b) => a.row - b.row)
+        }
+      });
+    }
+
+    await prisma.importJob.update({
+      where: { id: job.id },
+      data: { status: 'COMPLETED', completedAt: new Date() }
+    });
+  } catch (error) {
+    console.error(`Import ${job.id} failed:`, error);
+
+    await prisma.importJob.update({
+      where: { id: job.id },
+      data: { status: 'FAILED', error: error.message, completedAt: new Date() }
+    }).catch((err) => {
+      console.error(`Failed to mark import ${job.id} as failed:`, err.message);
+    });
+  }
+};
+
+// @desc    Import users from CSV, or validate the file with ?dryRun=true
+// @route   POST /import
+// @access  Private/Admin
+const importUsers = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const sendInvitations = req.query.sendInvitations === 'true';
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return next(new AppError('Send the CSV file as the request body with Content-Type: text/csv', 400));
+    }
+
+    const { headers, records } = parseCsvRecords(req.body, normalizeImportHeader);
+
+    const missingColumns = ['email', 'firstName', 'lastName', 'role'].filter((column) => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      return next(new AppError(`Missing required columns: ${missingColumns.join(', ')}`, 400));
+    }
+
+    if (records.length === 0) {
+      return next(new AppError('The CSV file has no rows', 400));
+    }
+
+    if (records.length > IMPORT_MAX_ROWS) {
+      return next(new AppError(`The CSV file has more than ${IMPORT_MAX_ROWS} rows`, 400));
+    }
+
+    const { validRows, rowErrors, newUsers } = await validateImportRows(records, req.user);
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          totalRows: records.length,
+          validRows: validRows.length,
+          invalidRows: rowErrors.length,
+          newUsers,
+          updatedUsers: validRows.length - newUsers,
+          rowErrors
+        }
+      });
+    }
+
+    const job = await prisma.importJob.create({
+      data: {
+        sendInvitations,
+        totalRows: records.length,
+        processedRows: rowErrors.length,
+        failedCount: rowErrors.length,
+        rowErrors,
+        createdById: req.user.id
+      }
+    });
+
+    // Not awaited: the client polls GET /import/:jobId for progress
+    processImportJob(job, validRows, rowErrors);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get import jobs
+// @route   GET /import
+// @access  Private/Admin
+const getImportJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      prisma.importJob.findMany({
+        skip,
+        take,
+        select: {
+          id: true,
+          status: true,
+          sendInvitations: true,
+          totalRows: true,
+          processedRows: true,
+          createdCount: true,
+          updatedCount: true,
+          failedCount: true,
+          error: true,
+          startedAt: true,
+          completedAt: true,
+          createdAt: true,
+          createdBy: {
+            select: { id: true, firstName: true, lastName: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.importJob.count()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an import job's progress and error report
+// @route   GET /import/:jobId
+// @access  Private/Admin
+const getImportJob = async (req, res, next) => {
+  try {
+    const job = await prisma.importJob.findUnique({
+      where: { id: req.params.jobId }
+    });
+
+    if (!job) {
+      return next(new AppError('Import job not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Everything we hold about a user, for personal data exports
+const collectPersonalData = async (userId) => {
+  const courseSelect = {
+    select: { id: true, code: true, name: true, department: departmentSelect }
+  };
+  const termSelect = {
+    select: { id: true, name: true }
+  };
+
+  const [
+    account,
+    sessions,
+    enrollments,
+    requisiteOverrides,
+    enrollmentExceptions,
+    attendance,
+    taughtCourses,
+    courseStaff,
+    taughtSections,
+    schedules,
+    materials,
+    announcements,
+    comments,
+    notifications,
+    roleAssignments,
+    erasureRequests
+  ] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        studentId: true,
+        staffId: true,
+        department: departmentSelect,
+        status: true,
+        emailVerified: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+        updatedAt: true,
+        profile: true
+      }
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastSeenAt: true,
+        expiresAt: true,
+        revokedAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.enrollment.findMany({
+      where: { studentId: userId },
+      include: {
+        course: courseSelect,
+        term: termSelect,
+        sections: {
+          select: {
+            createdAt: true,
+            section: {
+              select: { id: true, code: true, type: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.requisiteOverride.findMany({
+      where: { studentId: userId },
+      include: { course: courseSelect },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.enrollmentException.findMany({
+      where: { studentId: userId },
+      include: {
+        course: courseSelect,
+        term: termSelect
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.attendanceRecord.findMany({
+      where: { studentId: userId },
+      include: {
+        session: {
+          select: {
+            id: true,
+            openedAt: true,
+            closedAt: true,
+            course: courseSelect,
+            term: termSelect,
+            section: {
+              select: { id: true, code: true, type: true }
+            }
+          }
+        }
+      },
+      orderBy: { checkedInAt: 'asc' }
+    }),
+    prisma.course.findMany({
+      where: { lecturerId: userId },
+      orderBy: { code: 'asc' }
+    }),
+    prisma.courseStaff.findMany({
+      where: { userId },
+      include: { course: courseSelect },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.courseSection.findMany({
+      where: { staffId: userId },
+      include: {
+        course: courseSelect,
+        term: termSelect
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.schedule.findMany({
+      where: {
+        OR: [
+          { lecturerId: userId },
+          { course: { enrollments: { some: { studentId: userId } } } }
+        ]
+      },
+      include: {
+        course: courseSelect,
+        venue: {
+          select: { id: true, name: true, building: true }
+        }
+      },
+      orderBy: [
+        { dayOfWeek: 'asc' },
+        { startTime: 'asc' }
+      ]
+    }),
+    prisma.courseMaterial.findMany({
+      where: { uploadedById: userId },
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        fileName: true,
+        contentType: true,
+        size: true,
+        createdAt: true,
+        updatedAt: true,
+        course: courseSelect
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.announcement.findMany({
+      where: { authorId: userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.comment.findMany({
+      where: { userId },
+      include: {
+        announcement: {
+          select: { id: true, title: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.notification.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.roleAssignment.findMany({
+      where: { userId },
+      include: {
+        role: {
+          select: { name: true, permissions: true }
+        }
+      }
+    }),
+    prisma.erasureRequest.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        status: true,
+        reason: true,
+        reviewNote: true,
+        reviewedAt: true,
+        createdAt: true
+      }
+    })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account,
+    sessions,
+    enrollments,
+    requisiteOverrides,
+    enrollmentExceptions,
+    attendance,
+    taughtCourses,
+    courseStaff,
+    taughtSections,
+    schedules,
+    materials,
+    announcements,
+    comments,
+    notifications,
+    roleAssignments,
+    erasureRequests
+  };
+};
+
+// @desc    Download all personal data held about the current user
+// @route   GET /me/export?format=json|zip
+// @access  Private
+const exportMyData = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'zip'].includes(format)) {
+      return next(new AppError('Format must be json or zip', 400));
+    }
+
+    const data = await collectPersonalData(req.user.id);
+    const filename = `smart-university-data-${data.exportedAt.slice(0, 10)}`;
+
+    if (format === 'zip') {
+      // One JSON file per section
+      const files = Object.entries(data)
+        .filter(([section]) => section !== 'exportedAt')
+        .map(([section, content]) => ({
+          name: `${section}.json`,
+          content: JSON.stringify(content, null, 2)
+        }));
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      return res.status(200).send(createZip(files));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Ask for the current user's personal data to be erased
+// @route   POST /me/erasure-requests
+// @access  Private
+const requestErasure = async (req, res, next) => {
+  try {
+    const pendingRequest = await prisma.erasureRequest.findFirst({
+      where: { userId: req.user.id, status: 'PENDING' }
+    });
+
+    if (pendingRequest) {
+      return next(new AppError('You already have a pending erasure request', 400));
+    }
+
+    const erasureRequest = await prisma.erasureRequest.create({
+      data: {
+        userId: req.user.id,
+        reason: req.body.reason || null
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Erasure request submitted for review',
+      data: erasureRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's erasure requests
+// @route   GET /me/erasure-requests
+// @access  Private
+const getMyErasureRequests = async (req, res, next) => {
+  try {
+    const erasureRequests = await prisma.erasureRequest.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: erasureRequests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get erasure requests
+// @route   GET /erasure-requests
+// @access  Private/Admin
+const getErasureRequests = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (status) where.status = status;
+
+    const [erasureRequests, total] = await Promise.all([
+      prisma.erasureRequest.findMany({
+        where,
+        skip,
+        take,
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              role: true,
+              _count: {
+                select: { taughtCourses: true }
+              }
+            }
+          },
+          reviewedBy: {
+            select: { id: true, firstName: true, lastName: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.erasureRequest.count({ where })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: erasureRequests,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a pending erasure request that the reviewer may act on
+const getReviewableErasureRequest = async (req) => {
+  const erasureRequest = await prisma.erasureRequest.findUnique({
+    where: { id: req.params.requestId },
+    include: { user: true }
+  });
+
+  if (!erasureRequest) {
+    throw new AppError('Erasure request not found', 404);
+  }
+
+  if (erasureRequest.status !== 'PENDING') {
+    throw new AppError('Erasure request has already been reviewed', 400);
+  }
+
+  if (erasureRequest.userId === req.user.id) {
+    throw new AppError('You cannot review your own erasure request', 400);
+  }
+
+  return erasureRequest;
+};
+
+// @desc    Approve an erasure request and anonymize the user. Their account row,
+//          announcements and comments are kept but no longer identify them.
+// @route   POST /erasure-requests/:requestId/approve
+// @access  Private/Admin
+const approveErasureRequest = async (req, res, next) => {
+  try {
+    const erasureRequest = await getReviewableErasureRequest(req);
+    const { user } = erasureRequest;
+
+    const taughtCourses = await prisma.course.count({
+      where: { lecturerId: user.id }
+    });
+
+    if (taughtCourses > 0) {
+      return next(new AppError('Reassign the courses taught by this user before erasing their data', 400));
+    }
+
+    if (user.role === 'ADMIN') {
+      const otherAdmins = await prisma.user.count({
+        where: { role: 'ADMIN', status: 'ACTIVE', id: { not: user.id } }
+      });
+
+      if (otherAdmins === 0) {
+        return next(new AppError('Cannot erase the last active admin', 400));
+      }
+    }
+
+    // Classes the user teaches in other lecturers' courses, e.g. as a section's staff
+    // member, go back to the course's lecturer
+    const taughtSchedules = await prisma.schedule.findMany({
+      where: { lecturerId: user.id },
+      distinct: ['courseId'],
+      select: {
+        courseId: true,
+        course: {
+          select: { lecturerId: true }
+        }
+      }
+    });
+
+    const now = new Date();
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          email: `erased-${user.id}@erased.invalid`,
+          password: unusablePassword,
+          firstName: 'Deleted',
+          lastName: 'User',
+          studentId: null,
+          staffId: null,
+          departmentId: null,
+          legacyPushToken: null,
+          emailVerified: false,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorRecoveryCodes: [],
+          status: 'DEACTIVATED',
+          deactivatedAt: user.deactivatedAt || now,
+          deactivationReason: 'Personal data erased',
+          erasedAt: now
+        }
+      }),
+      prisma.userProfile.deleteMany({ where: { userId: user.id } }),
+      prisma.session.deleteMany({ where: { userId: user.id } }),
+      prisma.passwordResetToken.deleteMany({ where: { userId: user.id } }),
+      prisma.emailVerificationToken.deleteMany({ where: { userId: user.id } }),
+      prisma.notification.deleteMany({ where: { userId: user.id } }),
+      prisma.roleAssignment.deleteMany({ where: { userId: user.id } }),
+      prisma.department.updateMany({ where: { headId: user.id }, data: { headId: null } }),
+      prisma.courseStaff.deleteMany({ where: { userId: user.id } }),
+      prisma.courseSection.updateMany({ where: { staffId: user.id }, data: { staffId: null } }),
+      ...taughtSchedules.map((schedule) =>
+        prisma.schedule.updateMany({
+          where: { lecturerId: user.id, courseId: schedule.courseId },
+          data: { lecturerId: schedule.course.lecturerId }
+        })
+      ),
+      prisma.invitation.deleteMany({ where: { email: user.email } }),
+      prisma.erasureRequest.update({
+        where: { id: erasureRequest.id },
+        data: {
+          status: 'COMPLETED',
+          reviewedById: req.user.id,
+          reviewNote: req.body.note || null,
+          reviewedAt: now
+        }
+      })
+    ]);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your personal data has been erased',
+        text: `Hi ${user.firstName},\n\nAs you requested, your Smart University account has been closed and the ` +
+          'personal data linked to it has been erased. Posts and comments you wrote remain, attributed to "Deleted User".'
+      });
+    } catch (err) {
+      console.error('Failed to send erasure confirmation email', err);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Personal data erased'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject an erasure request
+// @route   POST /erasure-requests/:requestId/reject
+// @access  Private/Admin
+const rejectErasureRequest = async (req, res, next) => {
+  try {
+    const { note } = req.body;
+
+    if (!note) {
+      return next(new AppError('A note explaining the rejection is required', 400));
+    }
+
+    const erasureRequest = await getReviewableErasureRequest(req);
+
+    await prisma.erasureRequest.update({
+      where: { id: erasureRequest.id },
+      data: {
+        status: 'REJECTED',
+        reviewedById: req.user.id,
+        reviewNote: note,
+        reviewedAt: new Date()
+      }
+    });
+
+    try {
+      await sendMail({
+        to: erasureRequest.user.email,
+        subject: 'Your data erasure request',
+        text: `Hi ${erasureRequest.user.firstName},\n\nYour request to erase your personal data was not approved:\n\n${note}`
+      });
+    } catch (err) {
+      console.error('Failed to send erasure rejection email', err);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Erasure request rejected'
     });
   } catch (error) {
     next(error);
@@ -259,11 +2512,46 @@ const updatePushToken = async (req, res, next) => {
 // Routes
 app.use(protect);
 
-app.get('/', authorize('ADMIN'), getUsers);
-app.put('/me/push-token', updatePushToken);
+app.get('/', requirePermission('user:manage'), getUsers);
+app.get('/me', getMe);
+app.put('/me', updateMe);
+app.put('/me/push-token', denyImpersonation, updatePushToken);
+app.get('/me/sessions', getMySessions);
+app.delete('/me/sessions', denyImpersonation, revokeMySessions);
+app.delete('/me/sessions/:sessionId', denyImpersonation, revokeMySession);
+app.get('/me/export', denyImpersonation, exportMyData);
+app.get('/me/erasure-requests', getMyErasureRequests);
+app.post('/me/erasure-requests', denyImpersonation, requestErasure);
+app.get('/erasure-requests', requirePermission('user:erase'), getErasureRequests);
+app.post('/erasure-requests/:requestId/approve', requirePermission('user:erase'), approveErasureRequest);
+app.post('/erasure-requests/:requestId/reject', requirePermission('user:erase'), rejectErasureRequest);
+app.get('/departments', getDepartments);
+app.post('/departments', requirePermission('department:manage'), createDepartment);
+app.get('/departments/:departmentId', getDepartment);
+app.put('/departments/:departmentId', requirePermission('department:manage'), updateDepartment);
+app.delete('/departments/:departmentId', requirePermission('department:manage'), deleteDepartment);
+app.get('/departments/:departmentId/members', getDepartmentMembers);
+app.get('/permissions', requirePermission('role:manage'), getPermissions);
+app.get('/roles', requirePermission('role:manage'), getRoles);
+app.post('/roles', requirePermission('role:manage'), createRole);
+app.put('/roles/:roleId', requirePermission('role:manage'), updateRole);
+app.delete('/roles/:roleId', requirePermission('role:manage'), deleteRole);
+app.post('/import', requirePermission('user:import'), express.text({ type: 'text/csv', limit: IMPORT_MAX_SIZE }), importUsers);
+app.get('/import', requirePermission('user:import'), getImportJobs);
+app.get('/import/:jobId', requirePermission('user:import'), getImportJob);
+app.get('/locked', requirePermission('user:manage'), getLockedUsers);
+app.post('/:id/unlock', requirePermission('user:manage'), unlockUser);
+app.delete('/:id/2fa', requirePermission('user:manage'), resetTwoFactor);
+app.post('/:id/deactivate', requirePermission('user:manage'), deactivateUser);
+app.post('/:id/reactivate', requirePermission('user:manage'), reactivateUser);
+app.post('/:id/reassign-courses', requirePermission('course:reassign'), reassignCourses);
+app.get('/:id/roles', requirePermission('role:manage'), getUserRoles);
+app.post('/:id/roles', requirePermission('role:manage'), assignRole);
+app.delete('/:id/roles/:assignmentId', requirePermission('role:manage'), unassignRole);
 app.get('/:id', getUser);
-app.put('/:id', authorize('ADMIN'), updateUser);
-app.delete('/:id', authorize('ADMIN'), deleteUser);
+app.put('/:id', requirePermission('user:manage'), updateUser);
+// Accounts are never hard-deleted here: DELETE deactivates so content is kept
+app.delete('/:id', requirePermission('user:manage'), deactivateUser);
 
 // 404 handler
 app.use((req, res) => {
@@ -4,15 +4,18 @@ const cors = require('cors');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../../utils/errorHandler');
 const { validateRequired, validateVenueStatus } = require('../../utils/validator');
-const { serviceRequest } = require('../../shared/utils');
+const { createServiceClient } = require('../../shared/utils');
 const protect = require('../../middleware/auth');
-const authorize = require('../../middleware/role');
+const acceptApiKey = require('../../middleware/apiKey');
+const requirePermission = require('../../middleware/permission');
+const { resolveTermId } = require('../../shared/terms');
 
 const app = express();
 const PORT = process.env.VENUE_SERVICE_PORT || 3006;
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
+const serviceRequest = createServiceClient('venue-service');
 
 // Middleware
 app.use(cors());
@@ -33,6 +36,37 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Read the optional check-in location of a venue from a request body. Only the fields
+// present are returned, and null clears a field.
+const parseVenueLocation = (body) => {
+  const location = {};
+
+  ['latitude', 'longitude'].forEach((field) => {
+    if (body[field] === undefined) return;
+
+    const value = body[field] === null ? null : parseFloat(body[field]);
+    const limit = field === 'latitude' ? 90 : 180;
+
+    if (value !== null && (Number.isNaN(value) || Math.abs(value) > limit)) {
+      throw new AppError(`${field} must be a number between -${limit} and ${limit}`, 400);
+    }
+
+    location[field] = value;
+  });
+
+  if (body.checkInRadius !== undefined) {
+    const radius = body.checkInRadius === null ? null : parseInt(body.checkInRadius);
+
+    if (radius !== null && (Number.isNaN(radius) || radius < 1)) {
+      throw new AppError('checkInRadius must be a positive number of metres', 400);
+    }
+
+    location.checkInRadius = radius;
+  }
+
+  return location;
+};
+
 // @desc    Create venue
 // @route   POST /
 // @access  Private/Admin
@@ -52,7 +86,8 @@ const createVenue = async (req, res, next) => {
         building,
         capacity: parseInt(capacity),
         facilities,
-        status
+        status,
+        ...parseVenueLocation(req.body)
       }
     });
 
@@ -108,17 +143,19 @@ const getVenues = async (req, res, next) => {
   }
 };
 
-// @desc    Get single venue
+// @desc    Get single venue with its schedules for a term (active term by default)
 // @route   GET /:id
 // @access  Private
 const getVenue = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const termId = await resolveTermId(prisma, req.query.termId);
 
     const venue = await prisma.venue.findUnique({
       where: { id },
       include: {
         schedules: {
+          where: termId ? { termId } : undefined,
           include: {
             lecturer: {
               select: {
@@ -158,11 +195,14 @@ const updateVenue = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, building, capacity, facilities, status } = req.body;
+    const termId = await resolveTermId(prisma);
 
+    // Only lecturers teaching here this term are told about status changes
     const venue = await prisma.venue.findUnique({
       where: { id },
       include: {
         schedules: {
+          where: termId ? { termId } : undefined,
           include: {
             lecturer: true
           }
@@ -174,7 +214,7 @@ const updateVenue = async (req, res, next) => {
       return next(new AppError('Venue not found', 404));
     }
 
-    const updateData = {};
+    const updateData = parseVenueLocation(req.body);
     if (name) updateData.name = name;
     if (building) updateData.building = building;
     if (capacity) updateData.capacity = parseInt(capacity);
@@ -189,22 +229,18 @@ const updateVenue = async (req, res, next) => {
       if (status !== venue.status && venue.schedules.length > 0) {
         const lecturerIds = [...new Set(venue.schedules.map(s => s.lecturerId))];
         
-        // We'll try to call notification service via HTTP for each lecturer
-        // In production, this should be a bulk event/request
-        for (const lecturerId of lecturerIds) {
-          try {
-            await serviceRequest('notification-service', '/', {
-              method: 'POST',
-              data: {
-                userId: lecturerId,
-                type: 'VENUE_STATUS_CHANGE',
-                message: `Venue ${venue.name} status changed to ${status}`,
-                link: `/venues/${id}`
-              }
-            });
-          } catch (err) {
-            console.error(`Failed to notify lecturer ${lecturerId}:`, err.message);
-          }
+        try {
+          await serviceRequest('notification-service', '/', {
+            method: 'POST',
+            data: {
+              userIds: lecturerIds,
+              type: 'VENUE_STATUS_CHANGE',
+              message: `Venue ${venue.name} status changed to ${status}`,
+              link: `/venues/${id}`
+            }
+          });
+        } catch (err) {
+          console.error('Failed to notify lecturers of venue status change:', err.message);
         }
       }
     }
@@ -251,7 +287,7 @@ const deleteVenue = async (req, res, next) => {
   }
 };
 
-// @desc    Check venue availability
+// @desc    Check venue availability in a term (active term by default)
 // @route   GET /available
 // @access  Private
 const checkAvailability = async (req, res, next) => {
@@ -262,13 +298,16 @@ const checkAvailability = async (req, res, next) => {
       return next(new AppError('dayOfWeek, startTime, and endTime are required', 400));
     }
 
+    const termId = await resolveTermId(prisma, req.query.termId);
+
     // Get all venues
     const venues = await prisma.venue.findMany({
       where: { status: 'AVAILABLE' },
       include: {
         schedules: {
           where: {
-            dayOfWeek
+            dayOfWeek,
+            ...(termId && { termId })
           }
         }
       }
@@ -296,14 +335,15 @@ const checkAvailability = async (req, res, next) => {
 };
 
 // Routes - All require authentication
+app.use(acceptApiKey('venues:read'));
 app.use(protect);
 
 app.get('/available', checkAvailability);
-app.post('/', authorize('ADMIN'), createVenue);
+app.post('/', requirePermission('venue:manage'), createVenue);
 app.get('/', getVenues);
 app.get('/:id', getVenue);
-app.put('/:id', authorize('ADMIN'), updateVenue);
-app.delete('/:id', authorize('ADMIN'), deleteVenue);
+app.put('/:id', requirePermission('venue:manage'), updateVenue);
+app.delete('/:id', requirePermission('venue:manage'), deleteVenue);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,315 @@
+// Central permission registry.
+//
+// Permissions are "<resource>:<action>" strings. Actions on owned resources come in
+// two flavours: "<resource>:<action>:own" applies only when the user owns the
+// resource, "<resource>:<action>:any" applies to every resource. "*" grants everything.
+//
+// Every user gets the permissions of their base role (ROLE_PERMISSIONS) plus any
+// custom roles assigned to them (Role/RoleAssignment tables). A custom role can be
+// assigned for a single department, in which case it only applies to resources
+// belonging to that department (e.g. a timetable officer for one department).
+// Department heads get DEPARTMENT_HEAD_PERMISSIONS for the departments they head, and
+// members of a course's teaching team get COURSE_STAFF_PERMISSIONS for that course.
+
+const PERMISSIONS = {
+  'user:manage': 'List, update, unlock and delete user accounts',
+  'user:invite': 'Invite users to create staff or student accounts',
+  'user:import': 'Bulk import users from CSV',
+  'user:erase': 'Review personal data erasure requests',
+  'user:impersonate': 'View the system as another user and review impersonation audit logs',
+  'department:manage': 'Create, update and delete departments and appoint their heads',
+  'role:manage': 'Create custom roles and assign them to users',
+  'apikey:manage': 'Create and revoke API keys for third-party integrations',
+  'venue:manage': 'Create, update and delete venues',
+  'term:manage': 'Create and update academic terms, choose the active term and set credit load limits',
+  'course:create': 'Create courses',
+  'course:update:own': 'Update courses you teach',
+  'course:update:any': 'Update any course',
+  'course:reassign': 'Change the lecturer of a course',
+  'course:delete:any': 'Delete any course',
+  'course:enroll': 'Enroll in and drop courses',
+  'course:requisite:override': 'Let individual students enroll without meeting course requisites',
+  'course:enrollment:override': 'Approve add/drop window and credit load exceptions for individual students',
+  'course:roster:own': 'View the student roster of courses you teach',
+  'course:roster:any': 'View the student roster of any course',
+  'course:staff:own': 'Manage the teaching team of courses you teach',
+  'course:staff:any': 'Manage the teaching team of any course',
+  'course:announce:own': 'Post announcements to the students of courses you teach',
+  'course:announce:any': 'Post announcements to the students of any course',
+  'course:material:own': 'Upload and organize materials of courses you teach',
+  'course:material:any': 'Upload and organize materials of any course',
+  'attendance:manage:own': 'Take attendance and view attendance reports of courses you teach',
+  'attendance:manage:any': 'Take attendance and view attendance reports of any course',
+  'schedule:create:own': 'Schedule classes for courses you teach',
+  'schedule:create:any': 'Schedule classes for any course',
+  'schedule:update:own': 'Update schedules of courses you teach',
+  'schedule:update:any': 'Update any schedule',
+  'schedule:delete:own': 'Delete schedules of courses you teach',
+  'schedule:delete:any': 'Delete any schedule',
+  'announcement:create': 'Post announcements',
+  'announcement:update:own': 'Update your own announcements',
+  'announcement:update:any': 'Update any announcement',
+  'announcement:delete:own': 'Delete your own announcements',
+  'announcement:delete:any': 'Delete any announcement',
+  'announcement:pin:own': 'Pin your own announcements',
+  'announcement:pin:any': 'Pin any announcement',
+  'comment:delete:own': 'Delete your own comments',
+  'comment:delete:any': 'Delete any comment'
+};
+
+const ROLE_PERMISSIONS = {
+  STUDENT: [
+    'course:enroll',
+    'comment:delete:own'
+  ],
+  LECTURER: [
+    'course:update:own',
+    'course:roster:own',
+    'course:staff:own',
+    'course:announce:own',
+    'course:material:own',
+    'attendance:manage:own',
+    'schedule:create:own',
+    'schedule:update:own',
+    'schedule:delete:own',
+    'announcement:create',
+    'announcement:update:own',
+    'announcement:delete:own',
+    'announcement:pin:own',
+    'comment:delete:own'
+  ],
+  ADMIN: ['*']
+};
+
+// Granted to the head of a department, scoped to that department
+const DEPARTMENT_HEAD_PERMISSIONS = [
+  'course:create',
+  'course:update:any',
+  'course:reassign',
+  'course:delete:any',
+  'course:roster:any',
+  'course:staff:any',
+  'course:announce:any',
+  'course:material:any',
+  'attendance:manage:any',
+  'schedule:create:any',
+  'schedule:update:any',
+  'schedule:delete:any'
+];
+
+// Granted to members of a course's teaching team (CourseStaff), scoped to that course
+const COURSE_STAFF_PERMISSIONS = {
+  COORDINATOR: [
+    'course:update:any',
+    'course:roster:any',
+    'course:staff:any',
+    'course:announce:any',
+    'course:material:any',
+    'attendance:manage:any',
+    'schedule:create:any',
+    'schedule:update:any',
+    'schedule:delete:any',
+    'announcement:update:any',
+    'announcement:delete:any',
+    'announcement:pin:any'
+  ],
+  LECTURER: [
+    'course:roster:any',
+    'course:announce:any',
+    'course:material:any',
+    'attendance:manage:any',
+    'schedule:create:any',
+    'schedule:update:any',
+    'schedule:delete:any'
+  ],
+  TA: [
+    'course:roster:any',
+    'course:announce:any',
+    'course:material:any',
+    'attendance:manage:any'
+  ]
+};
+
+// Scopes that can be granted to API keys. API keys are read-only, so every scope
+// only allows GET requests to the matching service.
+const API_KEY_SCOPES = {
+  'announcements:read': 'Read announcements',
+  'venues:read': 'Read venues and venue availability',
+  'schedules:read': 'Read class schedules'
+};
+
+// Flatten a user's custom role assignments, headed departments and course staff
+// memberships (as selected by the auth middleware) into grants for can()
+const buildGrants = ({ roleAssignments = [], headedDepartments = [], courseStaff = [] }) => {
+  return [
+    ...roleAssignments.map((assignment) => ({
+      permissions: assignment.role.permissions,
+      departmentId: assignment.departmentId
+    })),
+    ...headedDepartments.map((department) => ({
+      permissions: DEPARTMENT_HEAD_PERMISSIONS,
+      departmentId: department.id
+    })),
+    ...courseStaff.map((membership) => ({
+      permissions: COURSE_STAFF_PERMISSIONS[membership.role],
+      courseId: membership.courseId
+    }))
+  ];
+};
+
+const isValidPermission = (permission) => {
+  return permission === '*' || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+// Base role grant plus custom role, department head and course staff grants loaded by
+// the auth middleware
+const getGrants = (user) => {
+  return [
+    { permissions: ROLE_PERMISSIONS[user.role] || [], departmentId: null },
+    ...(user.grants || [])
+  ];
+};
+
+const grantIncludes = (grant, permission) => {
+  return grant.permissions.includes('*') || grant.permissions.includes(permission);
+};
+
+/**
+ * Check whether a user may perform an action, optionally on a specific resource
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Permission without scope suffix, e.g. 'schedule:update'
+ * @param {Object} [resource] - Resource being acted on
+ * @param {string|string[]} [resource.ownerId] - User ID(s) owning the resource
+ * @param {string} [resource.departmentId] - ID of the department the resource belongs to
+ * @param {string} [resource.courseId] - ID of the course the resource belongs to
+ * @returns {boolean}
+ */
+const can = (user, action, resource) => {
+  if (!user) {
+    return false;
+  }
+
+  const ownerIds = resource ? [].concat(resource.ownerId || []) : [];
+  const isOwner = ownerIds.includes(user.id);
+
+  return getGrants(user).some((grant) => {
+    // Department-scoped grants only cover resources of that department
+    if (grant.departmentId && (!resource || resource.departmentId !== grant.departmentId)) {
+      return false;
+    }
+
+    // Course staff grants only cover resources of that course
+    if (grant.courseId && (!resource || resource.courseId !== grant.courseId)) {
+      return false;
+    }
+
+    return grantIncludes(grant, action) ||
+      grantIncludes(grant, `${action}:any`) ||
+      (isOwner && grantIncludes(grant, `${action}:own`));
+  });
+};
+
+/**
+ * Check whether a user holds an action in any form (own, any or department-scoped).
+ * Used as a coarse route guard before the resource is loaded.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Permission without scope suffix
+ * @returns {boolean}
+ */
+const hasPermission = (user, action) => {
+  if (!user) {
+    return false;
+  }
+
+  return getGrants(user).some((grant) =>
+    grantIncludes(grant, action) ||
+    grantIncludes(grant, `${action}:any`) ||
+    grantIncludes(grant, `${action}:own`)
+  );
+};
+
+const isScopedGrant = (grant) => {
+  return Boolean(grant.departmentId || grant.courseId);
+};
+
+/**
+ * Work out where a user may perform an action that is not tied to a single resource,
+ * e.g. to limit a list to the departments their grants cover.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Permission without scope suffix
+ * @returns {{ global: boolean, departmentIds: string[] }} global is true when a grant
+ *   that is not limited to a department or course covers the action
+ */
+const getPermissionScope = (user, action) => {
+  const scope = { global: false, departmentIds: [] };
+
+  if (!user) {
+    return scope;
+  }
+
+  getGrants(user).forEach((grant) => {
+    if (!grantIncludes(grant, action) && !grantIncludes(grant, `${action}:any`)) {
+      return;
+    }
+
+    if (!isScopedGrant(grant)) {
+      scope.global = true;
+    } else if (grant.departmentId && !grant.courseId && !scope.departmentIds.includes(grant.departmentId)) {
+      scope.departmentIds.push(grant.departmentId);
+    }
+  });
+
+  return scope;
+};
+
+/**
+ * Check whether a user holds a permission everywhere, not just for a department or
+ * course. Only such permissions may be handed on through custom roles.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - Full permission, e.g. 'course:update:own' or '*'
+ * @returns {boolean}
+ */
+const holdsGlobally = (user, permission) => {
+  if (!user) {
+    return false;
+  }
+
+  return getGrants(user).some((grant) =>
+    !isScopedGrant(grant) && (
+      grantIncludes(grant, permission) ||
+      (permission.endsWith(':own') && grantIncludes(grant, permission.replace(/:own$/, ':any')))
+    )
+  );
+};
+
+/**
+ * Check whether a user holds every permission of a grant, in the grant's department
+ * or course or everywhere
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} grant - Grant from buildGrants()
+ * @returns {boolean}
+ */
+const holdsGrant = (user, grant) => {
+  return grant.permissions.every((permission) =>
+    holdsGlobally(user, permission) ||
+    (permission !== '*' && can(user, permission.replace(/:(own|any)$/, ''), {
+      departmentId: grant.departmentId,
+      courseId: grant.courseId
+    }))
+  );
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  DEPARTMENT_HEAD_PERMISSIONS,
+  COURSE_STAFF_PERMISSIONS,
+  API_KEY_SCOPES,
+  buildGrants,
+  isValidPermission,
+  can,
+  hasPermission,
+  getPermissionScope,
+  holdsGlobally,
+  holdsGrant
+};
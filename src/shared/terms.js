@@ -0,0 +1,38 @@
+// Academic term helpers shared by the services. Lists that belong to a term
+// (schedules, enrollments, timetables) default to the active term; clients can pass
+// ?termId=<id> for another term or ?termId=all to see every term.
+
+/**
+ * Get the active academic term
+ * @param {PrismaClient} prisma - Prisma client of the calling service
+ * @returns {Promise<Object|null>}
+ */
+const getActiveTerm = (prisma) => {
+  return prisma.academicTerm.findFirst({
+    where: { isActive: true }
+  });
+};
+
+/**
+ * Resolve the term a request is limited to
+ * @param {PrismaClient} prisma - Prisma client of the calling service
+ * @param {string} [termId] - termId from the query string
+ * @returns {Promise<string|null>} Term ID to filter on, or null for no filter
+ */
+const resolveTermId = async (prisma, termId) => {
+  if (termId === 'all') {
+    return null;
+  }
+
+  if (termId) {
+    return termId;
+  }
+
+  const activeTerm = await getActiveTerm(prisma);
+  return activeTerm ? activeTerm.id : null;
+};
+
+module.exports = {
+  getActiveTerm,
+  resolveTermId
+};
@@ -1,12 +1,18 @@
 const axios = require('axios');
+const { signServiceToken } = require('../utils/serviceAuth');
 
 // Service registry - simple mapping for school project
 const services = {
+  'api-gateway': 'http://localhost:3000',
   'auth-service': 'http://localhost:3001',
   'course-service': 'http://localhost:3003',
   'notification-service': 'http://localhost:3004',
   'schedule-service': 'http://localhost:3005',
-  'venue-service': 'http://localhost:3006'
+  'venue-service': 'http://localhost:3006',
+  'announcement-service': 'http://localhost:3007',
+  'user-service': 'http://localhost:3008',
+  'material-service': 'http://localhost:3009',
+  'attendance-service': 'http://localhost:3010'
 };
 
 // Get service URL
@@ -14,20 +20,24 @@ const getServiceUrl = (serviceName) => {
   return services[serviceName];
 };
 
-// Make authenticated request to another service
+// Make a request to another service. When `options.caller` is set the request is
+// signed with the caller's service credentials, which internal routes require.
 const serviceRequest = async (serviceName, endpoint, options = {}) => {
+  const { caller, headers, ...requestOptions } = options;
   const url = `${getServiceUrl(serviceName)}${endpoint}`;
-  
-  const defaultOptions = {
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Internal-Service': 'microservice'
-    },
-    ...options
-  };
 
   try {
-    const response = await axios(url, defaultOptions);
+    const requestHeaders = {
+      'Content-Type': 'application/json',
+      ...headers
+    };
+
+    if (caller) {
+      requestHeaders['X-Internal-Service'] = caller;
+      requestHeaders['X-Service-Token'] = signServiceToken(caller, serviceName);
+    }
+
+    const response = await axios(url, { ...requestOptions, headers: requestHeaders });
     return response.data;
   } catch (error) {
     console.error(`Error calling ${serviceName}${endpoint}:`, error.message);
@@ -35,6 +45,27 @@ const serviceRequest = async (serviceName, endpoint, options = {}) => {
   }
 };
 
+// serviceRequest bound to the calling service, so every request it makes is signed
+const createServiceClient = (caller) => {
+  return (serviceName, endpoint, options = {}) => {
+    return serviceRequest(serviceName, endpoint, { ...options, caller });
+  };
+};
+
+// Socket.IO runs in the gateway, so services hand their live updates to it. A failed
+// update is only logged, as the change it reports has already been made.
+const emitSocketEvent = async (caller, event, payload) => {
+  try {
+    await serviceRequest('api-gateway', '/internal/events', {
+      method: 'POST',
+      caller,
+      data: { event, payload }
+    });
+  } catch (error) {
+    console.error(`Failed to send ${event} event to the gateway`);
+  }
+};
+
 // Validate JWT token (shared function)
 const validateToken = async (token) => {
   try {
@@ -86,6 +117,8 @@ const eventBus = new SimpleEventBus();
 module.exports = {
   getServiceUrl,
   serviceRequest,
+  createServiceClient,
+  emitSocketEvent,
   validateToken,
   eventBus
 };
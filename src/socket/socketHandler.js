@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const prisma = require('../config/db');
+const { verifyAccessToken } = require('../utils/tokens');
 const socketEmitter = require('../shared/socketEmitter');
 
 // Store connected users
@@ -15,8 +15,8 @@ const socketHandler = (io) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+      const decoded = await verifyAccessToken(prisma, token);
+
       const user = await prisma.user.findUnique({
         where: { id: decoded.id },
         select: {
@@ -24,7 +24,8 @@ const socketHandler = (io) => {
           email: true,
           firstName: true,
           lastName: true,
-          role: true
+          role: true,
+          status: true
         }
       });
 
@@ -32,6 +33,10 @@ const socketHandler = (io) => {
         return next(new Error('Authentication error: User not found'));
       }
 
+      if (user.status !== 'ACTIVE') {
+        return next(new Error('Authentication error: Account is deactivated'));
+      }
+
       socket.user = user;
       next();
     } catch (error) {
@@ -50,29 +55,54 @@ const socketHandler = (io) => {
     socket.join(`role:${socket.user.role}`);
     socket.join(`user:${socket.user.id}`);
 
-    // Join course based rooms for targeted broadcasts
+    // Join course and section based rooms for targeted broadcasts: courses the user is
+    // seated in, teaches or is on the teaching team of (TAs can be students too)
     try {
-      let courseIds = [];
-
-      if (socket.user.role === 'STUDENT') {
-        const enrollments = await prisma.enrollment.findMany({
-          where: { studentId: socket.user.id },
-          select: { courseId: true }
-        });
-
-        courseIds = enrollments.map((enrollment) => enrollment.courseId);
-      } else if (socket.user.role === 'LECTURER') {
-        const courses = await prisma.course.findMany({
+      const [enrollments, courses, staffedCourses, sections] = await Promise.all([
+        prisma.enrollment.findMany({
+          where: {
+            studentId: socket.user.id,
+            OR: [
+              { status: null },
+              { status: { not: 'WAITLISTED' } }
+            ]
+          },
+          select: {
+            courseId: true,
+            sections: { select: { sectionId: true } }
+          }
+        }),
+        prisma.course.findMany({
           where: { lecturerId: socket.user.id },
           select: { id: true }
-        });
-
-        courseIds = courses.map((course) => course.id);
-      }
+        }),
+        prisma.courseStaff.findMany({
+          where: { userId: socket.user.id },
+          select: { courseId: true }
+        }),
+        prisma.courseSection.findMany({
+          where: { staffId: socket.user.id },
+          select: { id: true }
+        })
+      ]);
+
+      const courseIds = new Set([
+        ...enrollments.map((enrollment) => enrollment.courseId),
+        ...courses.map((course) => course.id),
+        ...staffedCourses.map((membership) => membership.courseId)
+      ]);
+      const sectionIds = new Set([
+        ...enrollments.flatMap((enrollment) => enrollment.sections.map((section) => section.sectionId)),
+        ...sections.map((section) => section.id)
+      ]);
 
       courseIds.forEach((courseId) => {
         socket.join(`course:${courseId}`);
       });
+
+      sectionIds.forEach((sectionId) => {
+        socket.join(`section:${sectionId}`);
+      });
     } catch (error) {
       console.error('Socket course room join error:', error);
     }
@@ -95,17 +125,50 @@ const socketHandler = (io) => {
     });
   });
 
+  // Send a schedule update to the students of its section, or of the whole course for
+  // classes without a section, and to the lecturer and admins
+  const broadcastScheduleUpdate = (payload) => {
+    if (!payload) {
+      return;
+    }
+
+    const sectionId = payload.section?.id || payload.sectionId;
+    const courseId = payload.course?.id || payload.courseId;
+
+    if (sectionId) {
+      io.to(`section:${sectionId}`).emit('schedule-update', payload);
+    } else if (courseId) {
+      io.to(`course:${courseId}`).emit('schedule-update', payload);
+    }
+
+    // Notify lecturer tied to the schedule if present
+    const lecturerId = payload.lecturer?.id || payload.lecturerId;
+    if (lecturerId) {
+      io.to(`user:${lecturerId}`).emit('schedule-update', payload);
+    }
+
+    // Optionally keep admins informed
+    io.to('role:ADMIN').emit('schedule-update', payload);
+  };
+
   // Listen for events from other services
   socketEmitter.on('announcement.created', (announcement) => {
+    // Course announcements only go to the course's students and teaching team
+    if (announcement.courseId) {
+      io.to(`course:${announcement.courseId}`).to('role:ADMIN').emit('new-announcement', announcement);
+      return;
+    }
+
     io.emit('new-announcement', announcement);
   });
 
-  socketEmitter.on('schedule.created', (schedule) => {
-    io.emit('schedule-update', schedule);
-  });
+  socketEmitter.on('schedule.created', broadcastScheduleUpdate);
 
-  socketEmitter.on('schedule.updated', (schedule) => {
-    io.emit('schedule-update', schedule);
+  socketEmitter.on('schedule.updated', broadcastScheduleUpdate);
+
+  // Live check-in counts of attendance sessions for the course's students and teaching team
+  socketEmitter.on('attendance.updated', (update) => {
+    io.to(`course:${update.courseId}`).to('role:ADMIN').emit('attendance-update', update);
   });
 
   socketEmitter.on('notification.created', (notification) => {
@@ -130,9 +193,11 @@ const socketHandler = (io) => {
 
     // Broadcast new announcement
     broadcastAnnouncement: (announcement) => {
-      const { targetAudience } = announcement;
+      const { targetAudience, courseId } = announcement;
       
-      if (targetAudience === 'ALL') {
+      if (courseId) {
+        io.to(`course:${courseId}`).to('role:ADMIN').emit('new-announcement', announcement);
+      } else if (targetAudience === 'ALL') {
         io.emit('new-announcement', announcement);
       } else if (targetAudience === 'STUDENTS') {
         io.to('role:STUDENT').emit('new-announcement', announcement);
@@ -146,34 +211,21 @@ const socketHandler = (io) => {
       io.emit('venue-change', venue);
     },
 
-    // Emit to students enrolled in a specific course
+    // Emit to the students and teaching team of a specific course
     emitToCourse: (courseId, event, data) => {
       if (!courseId) return;
       io.to(`course:${courseId}`).emit(event, data);
     },
 
-    // Broadcast schedule update to relevant course and stakeholders
-    broadcastScheduleUpdate: (payload) => {
-      if (!payload) {
-        return;
-      }
-
-      const courseId = payload.course?.id || payload.courseId;
-
-      if (courseId) {
-        io.to(`course:${courseId}`).emit('schedule-update', payload);
-      }
-
-      // Notify lecturer tied to the schedule if present
-      const lecturerId = payload.lecturer?.id || payload.lecturerId;
-      if (lecturerId) {
-        io.to(`user:${lecturerId}`).emit('schedule-update', payload);
-      }
-
-      // Optionally keep admins informed
-      io.to('role:ADMIN').emit('schedule-update', payload);
+    // Emit to the students and staff of a lecture stream, tutorial or lab group
+    emitToSection: (sectionId, event, data) => {
+      if (!sectionId) return;
+      io.to(`section:${sectionId}`).emit(event, data);
     },
 
+    // Broadcast schedule update to relevant course or section and stakeholders
+    broadcastScheduleUpdate,
+
     // Send personal notification
     sendNotification: (userId, notification) => {
       io.to(`user:${userId}`).emit('notification', notification);
@@ -0,0 +1,65 @@
+const { AppError } = require('./errorHandler');
+const { hashToken, generateRandomToken } = require('./tokens');
+
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_PREFIX = 'suk_';
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Generate a new API key. Only the hash is stored; the key itself is shown once.
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${generateRandomToken(32)}`;
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashToken(key)
+  };
+};
+
+// API key sent with the request, unless the request also carries a Bearer token
+const getRequestApiKey = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer')) {
+    return null;
+  }
+
+  return req.headers[API_KEY_HEADER] || null;
+};
+
+/**
+ * Look up an API key and make sure it is still usable
+ * @param {PrismaClient} prisma - Prisma client of the caller
+ * @param {string} key - API key from the request
+ * @returns {Promise<Object>} API key record
+ */
+const verifyApiKey = async (prisma, key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) }
+  });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    throw new AppError('Invalid or expired API key', 401);
+  }
+
+  // Track usage without writing on every request
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date() }
+    }).catch((error) => {
+      console.error('Failed to update API key last used:', error.message);
+    });
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  generateApiKey,
+  getRequestApiKey,
+  verifyApiKey
+};
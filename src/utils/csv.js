@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Good enough for spreadsheet exports.
+
+/**
+ * Parse CSV text into an array of rows
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of raw field values
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark Excel adds to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((values) => values.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV content
+ * @param {Function} [normalizeHeader] - Maps a raw header to a property name
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+const parseCsvRecords = (text, normalizeHeader = (header) => header.trim()) => {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(normalizeHeader);
+
+  const records = rows.map((values) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = (values[index] || '').trim();
+      }
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,92 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Smart University <no-reply@uz.ac.zw>';
+
+/**
+ * SMTP driver - delivers mail through a real mail server
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * File driver - writes each message as JSON into an outbox directory.
+ * Used for local development and tests where no mail server is available.
+ */
+const createFileTransport = () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    send: async (message) => {
+      const id = randomUUID();
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(
+        path.join(outboxDir, `${Date.now()}-${id}.json`),
+        JSON.stringify({ id, ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  };
+};
+
+const drivers = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+// Resolve the transport configured through MAIL_DRIVER (defaults to the file outbox)
+const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || 'file';
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown mail driver: ${driver}`);
+    }
+
+    transport = drivers[driver]();
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - Optional HTML body
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  });
+};
+
+module.exports = {
+  sendMail
+};
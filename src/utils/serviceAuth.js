@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errorHandler');
+
+// Internal calls carry a short-lived token signed with the calling service's own
+// secret (e.g. COURSE_SERVICE_SECRET for course-service). The receiving service
+// looks up the caller's secret to verify it, so a token only proves the identity
+// of the service that holds that secret.
+const SERVICE_TOKEN_EXPIRES_IN = process.env.SERVICE_TOKEN_EXPIRES_IN || '60s';
+const SERVICE_TOKEN_HEADER = 'x-service-token';
+
+const getSecretEnvName = (serviceName) => {
+  return `${serviceName.replace(/-/g, '_').toUpperCase()}_SECRET`;
+};
+
+const getServiceSecret = (serviceName) => {
+  return process.env[getSecretEnvName(serviceName)];
+};
+
+/**
+ * Sign a token identifying the calling service to the target service
+ * @param {string} serviceName - Calling service, e.g. 'course-service'
+ * @param {string} audience - Target service, e.g. 'notification-service'
+ */
+const signServiceToken = (serviceName, audience) => {
+  const secret = getServiceSecret(serviceName);
+
+  if (!secret) {
+    throw new Error(`Missing service credentials: set ${getSecretEnvName(serviceName)}`);
+  }
+
+  return jwt.sign({ type: 'service' }, secret, {
+    issuer: serviceName,
+    subject: serviceName,
+    audience,
+    expiresIn: SERVICE_TOKEN_EXPIRES_IN
+  });
+};
+
+/**
+ * Verify a service token addressed to this service
+ * @param {string} token - Service token
+ * @param {string} audience - Name of the receiving service
+ * @returns {Object} Decoded token payload, `iss` is the calling service
+ */
+const verifyServiceToken = (token, audience) => {
+  const unverified = jwt.decode(token);
+  const secret = unverified && typeof unverified.iss === 'string' && getServiceSecret(unverified.iss);
+
+  if (!secret) {
+    throw new AppError('Invalid service token', 401);
+  }
+
+  const decoded = jwt.verify(token, secret, {
+    algorithms: ['HS256'],
+    issuer: unverified.iss,
+    audience
+  });
+
+  if (decoded.type !== 'service') {
+    throw new AppError('Invalid service token', 401);
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  SERVICE_TOKEN_HEADER,
+  signServiceToken,
+  verifyServiceToken
+};
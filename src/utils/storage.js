@@ -0,0 +1,272 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { AppError } = require('./errorHandler');
+
+// Signing secret for local download links
+const getLocalSigningSecret = () => {
+  return process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+};
+
+const sha256 = (data) => {
+  return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+const hmac = (key, data) => {
+  return crypto.createHmac('sha256', key).update(data).digest();
+};
+
+// Content-Disposition header for downloads, with a UTF-8 name for non-ASCII file names
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Local driver - keeps files in a directory on disk and serves them through signed
+ * links to the material service. Used for development and single-server deployments.
+ */
+const createLocalStorage = () => {
+  const rootDir = path.resolve(process.env.STORAGE_DIR || 'storage');
+  const publicUrl = process.env.STORAGE_PUBLIC_URL || 'http://localhost:3000/api/materials/files';
+
+  // Keys are generated by the services, but never let one escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new AppError('Invalid storage key', 400);
+    }
+
+    return filePath;
+  };
+
+  const sign = (key, expires, fileName, contentType) => {
+    return hmac(getLocalSigningSecret(), [key, expires, fileName, contentType].join('\n')).toString('hex');
+  };
+
+  return {
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, body);
+    },
+
+    remove: async (key) => {
+      await fsPromises.rm(resolveKey(key), { force: true });
+    },
+
+    getDownloadUrl: async (key, { fileName, contentType, expiresIn }) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({
+        key,
+        name: fileName,
+        type: contentType,
+        expires: String(expires),
+        signature: sign(key, expires, fileName, contentType)
+      });
+
+      return `${publicUrl}?${query}`;
+    },
+
+    // Check a signed link from getDownloadUrl and open the file it points to
+    openSignedDownload: async ({ key, name, type, expires, signature }) => {
+      if (!key || !name || !type || !expires || !signature) {
+        throw new AppError('Invalid download link', 403);
+      }
+
+      const expected = Buffer.from(sign(key, expires, name, type));
+      const given = Buffer.from(String(signature));
+
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new AppError('Invalid download link', 403);
+      }
+
+      if (parseInt(expires) < Date.now() / 1000) {
+        throw new AppError('Download link has expired', 403);
+      }
+
+      const filePath = resolveKey(key);
+      const stats = await fsPromises.stat(filePath).catch(() => null);
+
+      if (!stats) {
+        throw new AppError('File not found', 404);
+      }
+
+      return {
+        stream: fs.createReadStream(filePath),
+        size: stats.size,
+        contentType: type,
+        contentDisposition: contentDisposition(name)
+      };
+    }
+  };
+};
+
+/**
+ * S3 driver - stores files in an S3-compatible bucket (AWS S3, or MinIO locally with
+ * S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true). Requests are signed
+ * with AWS Signature Version 4 and downloads use presigned URLs.
+ */
+const createS3Storage = () => {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const host = forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+
+  // RFC 3986 encoding as required by SigV4
+  const encode = (value) => {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  };
+
+  const objectPath = (key) => {
+    const encodedKey = key.split('/').map(encode).join('/');
+    return forcePathStyle ? `/${encode(bucket)}/${encodedKey}` : `/${encodedKey}`;
+  };
+
+  const canonicalQuery = (query) => {
+    return Object.keys(query).sort()
+      .map((name) => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+  };
+
+  // Sign a request and return the signature, following the SigV4 steps
+  const signRequest = ({ method, pathname, query, headers, payloadHash, amzDate }) => {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+
+    const canonicalRequest = [
+      method,
+      pathname,
+      canonicalQuery(query),
+      headerNames.map((name) => `${name}:${lowerHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+    );
+
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      signature: hmac(signingKey, stringToSign).toString('hex')
+    };
+  };
+
+  const getAmzDate = () => {
+    return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  };
+
+  // Send a signed request with the payload hash in the headers
+  const send = async (method, key, body, extraHeaders = {}) => {
+    const amzDate = getAmzDate();
+    const payloadHash = sha256(body || '');
+    const pathname = objectPath(key);
+    const headers = {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...extraHeaders
+    };
+
+    const { scope, signedHeaders, signature } = signRequest({
+      method, pathname, query: {}, headers: { host, ...headers }, payloadHash, amzDate
+    });
+
+    try {
+      await axios({
+        method,
+        url: `${endpoint.protocol}//${host}${pathname}`,
+        data: body,
+        headers: {
+          ...headers,
+          Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : 'no response';
+      throw new Error(`S3 ${method} ${key} failed (${status}): ${error.message}`);
+    }
+  };
+
+  return {
+    put: async (key, body, contentType) => {
+      await send('PUT', key, body, { 'content-type': contentType });
+    },
+
+    remove: async (key) => {
+      await send('DELETE', key);
+    },
+
+    getDownloadUrl: async (key, { fileName, contentType, expiresIn }) => {
+      const amzDate = getAmzDate();
+      const pathname = objectPath(key);
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host',
+        'response-content-disposition': contentDisposition(fileName),
+        'response-content-type': contentType
+      };
+
+      const { signature } = signRequest({
+        method: 'GET', pathname, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate
+      });
+
+      return `${endpoint.protocol}//${host}${pathname}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+    }
+  };
+};
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+/**
+ * Resolve the storage driver configured through STORAGE_DRIVER (defaults to local disk).
+ * Drivers implement put(key, body, contentType), remove(key) and
+ * getDownloadUrl(key, { fileName, contentType, expiresIn }).
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    storage = drivers[driver]();
+    storage.driver = driver;
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
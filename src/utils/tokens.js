@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errorHandler');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Hash an opaque token before storing or looking it up in the database
+ * @param {string} token - Raw token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} [bytes] - Number of random bytes
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session (refresh token family) ID
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+/**
+ * Sign an access token that lets an admin act as another user. It is bound to the
+ * admin's own session (`sid`), names the admin as actor (`act.sub`) and expires
+ * together with the impersonation record.
+ * @param {Object} impersonation - Impersonation record
+ * @param {string} sessionId - Session ID of the admin
+ */
+const signImpersonationToken = (impersonation, sessionId) => {
+  const expiresIn = Math.max(1, Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000));
+
+  return jwt.sign({
+    id: impersonation.userId,
+    sid: sessionId,
+    imp: impersonation.id,
+    act: { sub: impersonation.adminId }
+  }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Expiry date for a newly issued refresh token
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Verify an access token and make sure its session has not been revoked
+ * @param {PrismaClient} prisma - Prisma client of the calling service
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} Decoded token payload, with `impersonation` set for impersonation tokens
+ */
+const verifyAccessToken = async (prisma, token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new AppError('Session is no longer valid', 401);
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid }
+  });
+
+  // Impersonation tokens are bound to the admin's session rather than the user's
+  const sessionOwnerId = decoded.imp ? decoded.act && decoded.act.sub : decoded.id;
+
+  if (!session || session.userId !== sessionOwnerId || session.revokedAt || session.expiresAt < new Date()) {
+    throw new AppError('Session is no longer valid', 401);
+  }
+
+  if (decoded.imp) {
+    const impersonation = await prisma.impersonation.findUnique({
+      where: { id: decoded.imp }
+    });
+
+    if (!impersonation || impersonation.adminId !== sessionOwnerId || impersonation.userId !== decoded.id ||
+        impersonation.endedAt || impersonation.expiresAt < new Date()) {
+      throw new AppError('Impersonation has ended', 401);
+    }
+
+    decoded.impersonation = impersonation;
+  }
+
+  // Refresh last seen at most every few minutes instead of writing on every request
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    prisma.session.update({
+      where: { id: session.id },
+      data: { lastSeenAt: new Date() }
+    }).catch((error) => {
+      console.error('Failed to update session last seen:', error.message);
+    });
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  hashToken,
+  generateRandomToken,
+  signAccessToken,
+  signImpersonationToken,
+  getRefreshTokenExpiry,
+  verifyAccessToken
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Microsoft Authenticator, Authy, etc.
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateHotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate a new base32 encoded TOTP secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the TOTP code for a secret at a given time
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [time] - Unix time in milliseconds
+ */
+const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(base32Decode(secret), Math.floor(time / 1000 / TOTP_PERIOD));
+};
+
+/**
+ * Find the time step a TOTP code belongs to, allowing for clock drift of `window`
+ * steps either way. Used to refuse codes that were already accepted.
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Number of steps to tolerate
+ * @returns {number|null} Step counter of the code, or null when it does not match
+ */
+const findTotpCounter = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const counter = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let step = -window; step <= window; step++) {
+    const expected = generateHotp(key, counter + step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter + step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Number of steps to tolerate
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  return findTotpCounter(secret, code, window) !== null;
+};
+
+/**
+ * Build an otpauth:// URI that authenticator apps can import (usually via QR code)
+ * @param {Object} options
+ * @param {string} options.secret - Base32 encoded secret
+ * @param {string} options.accountName - Account label, usually the email
+ * @param {string} options.issuer - Issuer shown in the authenticator app
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  // Some authenticator apps do not decode '+' as a space
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  TOTP_PERIOD,
+  generateSecret,
+  generateTotp,
+  findTotpCounter,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -5,6 +5,12 @@ const validateEmail = (email) => {
   return emailRegex.test(email);
 };
 
+const validateEmailDomain = (email, allowedDomains) => {
+  // Accept the listed domains and any of their subdomains
+  const domain = email.split('@').pop().toLowerCase();
+  return allowedDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
 const validatePassword = (password) => {
   // Minimum 8 characters, at least one letter and one number
   return password.length >= 8;
@@ -43,6 +49,36 @@ const validateDayOfWeek = (day) => {
   return validDays.includes(day);
 };
 
+const validatePhoneNumber = (phone) => {
+  // Optional leading +, 7 to 15 digits, spaces and dashes allowed between groups
+  const phoneRegex = /^\+?[0-9][0-9 -]{5,18}[0-9]$/;
+  return phoneRegex.test(phone) && phone.replace(/[^0-9]/g, '').length <= 15;
+};
+
+const validateLanguage = (language) => {
+  // English, Shona, Ndebele
+  const validLanguages = ['en', 'sn', 'nd'];
+  return validLanguages.includes(language);
+};
+
+const validateTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const validateUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
 const validateTimeFormat = (time) => {
   // Validate HH:MM format
   const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -51,12 +87,17 @@ const validateTimeFormat = (time) => {
 
 module.exports = {
   validateEmail,
+  validateEmailDomain,
   validatePassword,
   validateRequired,
   validateRole,
   validateTargetAudience,
   validateVenueStatus,
   validateDayOfWeek,
+  validatePhoneNumber,
+  validateLanguage,
+  validateTimezone,
+  validateUrl,
   validateTimeFormat
 };
 
@@ -53,6 +53,18 @@ const services = [
     script: 'src/services/user-service/server.js',
     port: 3008,
     color: '\x1b[32m' // Green
+  },
+  {
+    name: 'Material Service',
+    script: 'src/services/material-service/server.js',
+    port: 3009,
+    color: '\x1b[33m' // Yellow
+  },
+  {
+    name: 'Attendance Service',
+    script: 'src/services/attendance-service/server.js',
+    port: 3010,
+    color: '\x1b[35m' // Magenta
   }
 ];
 
@@ -130,6 +142,8 @@ const startAllServices = async () => {
   console.log('\x1b[34mVenue Service: http://localhost:3006\x1b[0m');
   console.log('\x1b[34mAnnouncement Service: http://localhost:3007\x1b[0m');
   console.log('\x1b[34mUser Service: http://localhost:3008\x1b[0m');
+  console.log('\x1b[34mMaterial Service: http://localhost:3009\x1b[0m');
+  console.log('\x1b[34mAttendance Service: http://localhost:3010\x1b[0m');
   console.log('=====================================');
   console.log('\x1b[34mPress Ctrl+C to stop all services\x1b[0m');
   